@@ -0,0 +1,335 @@
+// src/auth.js
+// Admin authentication for the WLWV Calendar API
+//
+// Admins log in with a username/password listed in the ADMIN_USERS secret
+// ("alice:password1,bob:password2") and receive a session token signed with
+// ADMIN_SESSION_SECRET. The token is sent back as "Authorization: Bearer <token>"
+// on every mutating request.
+
+const SESSION_TTL_SECONDS = 8 * 60 * 60; // 8 hours
+
+const encoder = new TextEncoder();
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+    const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function getSigningKey(secret) {
+    return crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+// Compare two strings without leaking where they differ
+async function safeEqual(a, b) {
+    const [hashA, hashB] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(a)),
+        crypto.subtle.digest('SHA-256', encoder.encode(b))
+    ]);
+    return crypto.subtle.timingSafeEqual(hashA, hashB);
+}
+
+// Parse ADMIN_USERS ("user:password,user2:password2") into a Map
+function getAdminUsers(env) {
+    const users = new Map();
+    (env.ADMIN_USERS || '').split(',').forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            users.set(entry.slice(0, separator).trim().toLowerCase(), entry.slice(separator + 1));
+        }
+    });
+    return users;
+}
+
+export async function createSessionToken(env, username) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { sub: username, iat: now, exp: now + SESSION_TTL_SECONDS };
+    const encodedPayload = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+
+    const key = await getSigningKey(env.ADMIN_SESSION_SECRET);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(encodedPayload));
+
+    return {
+        token: `${encodedPayload}.${base64UrlEncode(new Uint8Array(signature))}`,
+        expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+}
+
+// Returns { username, expiresAt } for a valid, unexpired token, otherwise null
+export async function verifySessionToken(env, token) {
+    if (!token || !env.ADMIN_SESSION_SECRET) return null;
+
+    const [encodedPayload, encodedSignature] = token.split('.');
+    if (!encodedPayload || !encodedSignature) return null;
+
+    try {
+        const key = await getSigningKey(env.ADMIN_SESSION_SECRET);
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            key,
+            base64UrlDecode(encodedSignature),
+            encoder.encode(encodedPayload)
+        );
+        if (!valid) return null;
+
+        const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(encodedPayload)));
+        if (!payload.sub || !payload.exp || payload.exp * 1000 <= Date.now()) {
+            return null;
+        }
+
+        return {
+            username: payload.sub,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read the bearer token from the request and verify it
+export async function getAdminSession(request, env) {
+    const authHeader = request.headers.get('Authorization') || '';
+    const match = authHeader.match(/^Bearer\s+(.+)$/i);
+    return verifySessionToken(env, match ? match[1].trim() : null);
+}
+
+// FAILED ATTEMPTS
+// Wrong passwords are recorded per scope ("login:<address>",
+// "unlock:<material id>:<address>") in the failed_attempts table, since a
+// Worker keeps nothing between requests. After MAX_FAILED_ATTEMPTS within
+// the window the scope has to wait until the oldest of them falls out of it.
+// Until migration 17 has run there is no table, and nothing is limited - an
+// admin has to be able to log in to run it.
+
+const ATTEMPT_WINDOW_SECONDS = 15 * 60; // 15 minutes
+const MAX_FAILED_ATTEMPTS = 5;
+
+function isMissingTable(error) {
+    return /no such table: failed_attempts/.test(error.message);
+}
+
+export function clientAddress(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+// Seconds before `scope` may try again, or 0 if it may now
+export async function getRetryDelay(env, scope) {
+    const now = Math.floor(Date.now() / 1000);
+    try {
+        const recent = await env.DB.prepare(`
+            SELECT COUNT(*) AS count, MIN(attempted_at) AS first FROM failed_attempts
+            WHERE scope = ? AND attempted_at > ?
+        `).bind(scope, now - ATTEMPT_WINDOW_SECONDS).first();
+
+        if (recent.count < MAX_FAILED_ATTEMPTS) return 0;
+        return Math.max(1, recent.first + ATTEMPT_WINDOW_SECONDS - now);
+    } catch (error) {
+        if (isMissingTable(error)) return 0;
+        throw error;
+    }
+}
+
+// Record a wrong password, clearing out attempts too old to count
+export async function recordFailedAttempt(env, scope) {
+    const now = Math.floor(Date.now() / 1000);
+    try {
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM failed_attempts WHERE attempted_at <= ?').bind(now - ATTEMPT_WINDOW_SECONDS),
+            env.DB.prepare('INSERT INTO failed_attempts (scope, attempted_at) VALUES (?, ?)').bind(scope, now)
+        ]);
+    } catch (error) {
+        if (!isMissingTable(error)) throw error;
+    }
+}
+
+export async function clearFailedAttempts(env, scope) {
+    try {
+        await env.DB.prepare('DELETE FROM failed_attempts WHERE scope = ?').bind(scope).run();
+    } catch (error) {
+        if (!isMissingTable(error)) throw error;
+    }
+}
+
+// The 429 for a scope that has to wait `delay` seconds
+export function tooManyAttemptsResponse(delay, corsResponse) {
+    const minutes = Math.ceil(delay / 60);
+    return corsResponse({
+        error: `Too many incorrect passwords. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        retryAfter: delay
+    }, 429, { 'Retry-After': String(delay) });
+}
+
+// POST /api/auth/login
+export async function handleLogin(request, env, corsResponse) {
+    try {
+        if (!env.ADMIN_SESSION_SECRET || !env.ADMIN_USERS) {
+            return corsResponse({ error: 'Admin authentication is not configured' }, 500);
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return corsResponse({ error: 'Invalid JSON body' }, 400);
+        }
+
+        const { username, password } = body || {};
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return corsResponse({ error: 'Username and password are required' }, 400);
+        }
+
+        // Wrong passwords are limited per address, whatever the username
+        const attemptScope = `login:${clientAddress(request)}`;
+        const delay = await getRetryDelay(env, attemptScope);
+        if (delay > 0) {
+            return tooManyAttemptsResponse(delay, corsResponse);
+        }
+
+        const normalizedUsername = username.trim().toLowerCase();
+        const expectedPassword = getAdminUsers(env).get(normalizedUsername);
+
+        // Always run the comparison so unknown usernames take the same time
+        const passwordMatches = await safeEqual(password, expectedPassword ?? '');
+        if (expectedPassword === undefined || !passwordMatches) {
+            await recordFailedAttempt(env, attemptScope);
+            return corsResponse({ error: 'Invalid username or password' }, 401);
+        }
+        await clearFailedAttempts(env, attemptScope);
+
+        const session = await createSessionToken(env, normalizedUsername);
+
+        return corsResponse({
+            token: session.token,
+            username: normalizedUsername,
+            expiresAt: session.expiresAt
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        return corsResponse({ error: 'Login failed', message: error.message }, 500);
+    }
+}
+
+// GET /api/auth/session
+export async function handleGetSession(request, env, corsResponse) {
+    const session = await getAdminSession(request, env);
+
+    if (!session) {
+        return corsResponse({ authenticated: false, error: 'Not authenticated' }, 401);
+    }
+
+    return corsResponse({
+        authenticated: true,
+        username: session.username,
+        expiresAt: session.expiresAt
+    });
+}
+
+// POST /api/auth/logout
+// Tokens are stateless, so logging out means the client discards its token;
+// this endpoint exists so the admin UI has a single place to report it.
+export async function handleLogout(request, env, corsResponse) {
+    return corsResponse({ success: true });
+}
+
+// MATERIAL FILE DOWNLOADS
+// Unlocking a protected material that is an uploaded file returns its link
+// with a token good for that material for a few minutes: "<exp>.<signature>"
+
+const DOWNLOAD_TOKEN_TTL_SECONDS = 10 * 60; // 10 minutes
+
+function downloadTokenPayload(materialId, exp) {
+    return encoder.encode(`material-file:${materialId}:${exp}`);
+}
+
+export async function createDownloadToken(env, materialId) {
+    const exp = Math.floor(Date.now() / 1000) + DOWNLOAD_TOKEN_TTL_SECONDS;
+    const key = await getSigningKey(env.ADMIN_SESSION_SECRET);
+    const signature = await crypto.subtle.sign('HMAC', key, downloadTokenPayload(materialId, exp));
+    return `${exp}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+export async function verifyDownloadToken(env, materialId, token) {
+    if (!token || !env.ADMIN_SESSION_SECRET) return false;
+
+    const [exp, encodedSignature] = token.split('.');
+    if (!/^\d+$/.test(exp || '') || !encodedSignature || parseInt(exp) * 1000 <= Date.now()) {
+        return false;
+    }
+
+    try {
+        const key = await getSigningKey(env.ADMIN_SESSION_SECRET);
+        return await crypto.subtle.verify(
+            'HMAC',
+            key,
+            base64UrlDecode(encodedSignature),
+            downloadTokenPayload(materialId, exp)
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+// MATERIAL PASSWORD HASHING
+
+const PASSWORD_HASH_PREFIX = 'pbkdf2';
+const PASSWORD_HASH_ITERATIONS = 100000; // Workers caps PBKDF2 at 100k iterations
+
+async function derivePasswordHash(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        256
+    );
+    return new Uint8Array(bits);
+}
+
+export function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(`${PASSWORD_HASH_PREFIX}$`);
+}
+
+// Hash a material password for storage: "pbkdf2$<iterations>$<salt>$<hash>"
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await derivePasswordHash(password, salt, PASSWORD_HASH_ITERATIONS);
+    return [
+        PASSWORD_HASH_PREFIX,
+        PASSWORD_HASH_ITERATIONS,
+        base64UrlEncode(salt),
+        base64UrlEncode(hash)
+    ].join('$');
+}
+
+// A stored value that isn't a hash is a plaintext password from before
+// migration 3 (hash_material_passwords) ran; it still unlocks, and the
+// unlock route hashes it then
+export async function verifyPassword(password, storedHash) {
+    if (!password || !storedHash) return false;
+    if (!isPasswordHash(storedHash)) return safeEqual(password, storedHash);
+
+    const [, iterations, encodedSalt, encodedHash] = storedHash.split('$');
+    const expected = base64UrlDecode(encodedHash);
+    const actual = await derivePasswordHash(password, base64UrlDecode(encodedSalt), parseInt(iterations));
+
+    return expected.length === actual.length && crypto.subtle.timingSafeEqual(expected, actual);
+}
@@ -1,6 +1,18 @@
 // src/bulk-import.js
 // Bulk Import Module for WLWV Calendar
 
+import { hashPassword, verifyPassword } from './auth.js';
+import { commitCalendarBatch, createBatchId } from './calendar-batches.js';
+import { parseCSV } from './csv.js';
+import { parseCalendarFile } from './ics.js';
+import { parseEventDetails } from './event-details.js';
+import { parseRecurrence } from './recurrence.js';
+import { getDepartments, departmentsFor, resolveDepartment } from './departments.js';
+import { getDayTypeDefinitions, resolveDayType } from './day-types.js';
+import { getSchools, getSchoolCodes, schoolError, resolveGrade, parseCourse } from './schools.js';
+import { MATERIAL_SCHEDULE_FIELDS, parseMaterialSchedule } from './material-schedule.js';
+import { deleteMaterialFiles, fileLink } from './material-files.js';
+
 // Helper function to format dates (import from your main helpers or duplicate here)
 function formatDate(dateInput) {
     if (!dateInput) return null;
@@ -17,58 +29,194 @@ function formatDate(dateInput) {
     return date.toISOString().split('T')[0];
 }
 
-// Simple CSV parser
-function parseCSV(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return { headers: [], rows: [] };
-    
-    // Parse headers
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-    
-    // Parse rows
-    const rows = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let j = 0; j < lines[i].length; j++) {
-            const char = lines[i][j];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+// Response for a CSV (or .ics) file that couldn't be parsed; every error has
+// a line and, for CSV, a column
+function csvParseErrorResponse(errors, corsResponse, format = 'CSV') {
+    const first = errors[0];
+    return corsResponse({
+        error: `Could not parse ${format}: line ${first.line}${first.column ? `, column ${first.column}` : ''}: ${first.message}`,
+        parseErrors: errors
+    }, 400);
+}
+
+// Rows per statement when reading or writing materials and events in bulk.
+// Each chunk is sent as one JSON parameter and expanded with json_each, so a
+// full year of materials is a handful of statements rather than a query per row.
+const CHUNK_SIZE = 200;
+
+function chunk(items, size = CHUNK_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Existing rows for a set of duplicate keys. `sql` joins the table to
+// json_each(?) AS k, where each k.value is one key array; keyOf(row) rebuilds
+// the key from a result row. Returns a Map of JSON key -> matching rows.
+async function findExistingByKey(db, sql, keys, keyOf) {
+    const found = new Map();
+    const unique = [...new Map(keys.map(key => [JSON.stringify(key), key])).values()];
+    if (unique.length === 0) return found;
+
+    const results = await db.batch(chunk(unique).map(part => db.prepare(sql).bind(JSON.stringify(part))));
+    results.forEach(result => result.results.forEach(row => {
+        const key = JSON.stringify(keyOf(row));
+        if (!found.has(key)) found.set(key, []);
+        found.get(key).push(row);
+    }));
+    return found;
+}
+
+// Ids from the chunked INSERT ... RETURNING id statements of a batch, in
+// the order the rows were given. Ids within one INSERT ... SELECT are
+// assigned in json_each order, so sorting each chunk's ids lines them up.
+function insertedIds(results) {
+    return results.flatMap(result => result.results.map(row => row.id).sort((a, b) => a - b));
+}
+
+// Imports that overwrite existing rows snapshot them first so undo can put
+// them back. `columns` are the ones saved and restored, and `dependents` the
+// [table, column] pairs whose rows belong to a row and go when undo deletes it.
+const IMPORT_SNAPSHOTS = {
+    materials: {
+        batchTable: 'import_batches',
+        snapshotTable: 'materials_import_snapshots',
+        idColumn: 'material_id',
+        columns: [
+            'school', 'date', 'grade_level', 'course', 'title', 'link', 'description', 'publish_at', 'expires_at', 'password',
+            'updated_at', 'import_batch_id'
+        ]
+    },
+    events: {
+        batchTable: 'events_import_batches',
+        snapshotTable: 'events_import_snapshots',
+        idColumn: 'event_id',
+        columns: [
+            'school', 'date', 'end_date', 'title', 'department', 'time', 'end_time', 'all_day', 'location', 'description',
+            'recurrence', 'updated_at', 'import_batch_id'
+        ],
+        // A series the import added may have had occurrences edited since
+        dependents: [['event_exceptions', 'event_id']]
+    }
+};
+
+// Statement that snapshots rows `ids` of `table` as they are now
+function snapshotStatement(db, table, batchId, ids) {
+    const { snapshotTable, idColumn, columns } = IMPORT_SNAPSHOTS[table];
+    return db.prepare(`
+        INSERT INTO ${snapshotTable} (batch_id, ${idColumn}, previous_row)
+        SELECT ?, t.id, json_object(${columns.map(column => `'${column}', t.${column}`).join(', ')})
+        FROM json_each(?) AS k
+        JOIN ${table} t ON t.id = k.value
+    `).bind(batchId, JSON.stringify(ids));
+}
+
+// Delete the rows an import inserted, restore the rows it replaced and mark
+// it undone, in one D1 batch. Refused while a later import that replaced rows
+// as this one left them is still in place, since restoring our snapshots
+// would discard its changes. Returns { blockingBatches } or the counts.
+async function undoImportBatch(db, table, batchId) {
+    const { batchTable, snapshotTable, idColumn, columns, dependents = [] } = IMPORT_SNAPSHOTS[table];
+
+    const blocking = await db.prepare(`
+        SELECT DISTINCT s.batch_id
+        FROM ${snapshotTable} s
+        JOIN ${batchTable} b ON b.id = s.batch_id AND b.status = 'completed'
+        WHERE json_extract(s.previous_row, '$.import_batch_id') = ?
+    `).bind(batchId).all();
+
+    if (blocking.results.length > 0) {
+        return { blockingBatches: blocking.results.map(row => row.batch_id) };
+    }
+
+    // The rows the batch inserted, as opposed to the ones it replaced
+    const inserted = `SELECT id FROM ${table}
+            WHERE import_batch_id = ?
+            AND id NOT IN (SELECT ${idColumn} FROM ${snapshotTable} WHERE batch_id = ?)`;
+
+    const results = await db.batch([
+        ...dependents.map(([dependent, column]) => db.prepare(`
+            DELETE FROM ${dependent} WHERE ${column} IN (${inserted})
+        `).bind(batchId, batchId)),
+        db.prepare(`DELETE FROM ${table} WHERE id IN (${inserted})`).bind(batchId, batchId),
+        // Columns added after a snapshot was taken keep their current value
+        db.prepare(`
+            UPDATE ${table}
+            SET ${columns.map(column => `${column} = CASE WHEN json_type(s.previous_row, '$.${column}') IS NULL
+                THEN ${table}.${column} ELSE json_extract(s.previous_row, '$.${column}') END`).join(', ')}
+            FROM ${snapshotTable} s
+            WHERE s.batch_id = ? AND ${table}.id = s.${idColumn}
+        `).bind(batchId),
+        db.prepare(`UPDATE ${batchTable} SET status = 'undone' WHERE id = ?`).bind(batchId)
+    ]);
+    const [deleted, restored] = results.slice(dependents.length);
+
+    return { deletedCount: deleted.meta.changes, restoredCount: restored.meta.changes };
+}
+
+// Material fields a CSV row can change, in the order diffs list them
+const MATERIAL_FIELDS = [
+    'school', 'date', 'grade_level', 'course', 'title', 'link', 'description', ...MATERIAL_SCHEDULE_FIELDS
+];
+
+// Optional materials columns; a file without one leaves that field alone
+const OPTIONAL_MATERIAL_COLUMNS = ['course', ...MATERIAL_SCHEDULE_FIELDS];
+
+// Columns describing a material's uploaded file
+const FILE_COLUMNS = ['file_key', 'file_name', 'file_type', 'file_size'];
+
+const DUPLICATE_ACTIONS = ['skip', 'replace', 'importAll'];
+
+// Field-by-field changes from an existing row to a CSV row
+function fieldChanges(existing, data, fields) {
+    const changes = {};
+    fields.forEach(field => {
+        if (String(existing[field] ?? '') !== String(data[field] ?? '')) {
+            changes[field] = { from: existing[field], to: data[field] };
+        }
+    });
+    return changes;
+}
+
+// Changes to a material. Passwords are stored hashed, so a row's password
+// counts as a change unless it verifies against the stored hash; a blank
+// password keeps the current one.
+async function materialChanges(existing, data, verifiedPasswords) {
+    const changes = fieldChanges(existing, data, MATERIAL_FIELDS.filter(field => data[field] !== undefined));
+
+    if (data.password) {
+        const cacheKey = `${existing.password}\n${data.password}`;
+        if (!verifiedPasswords.has(cacheKey)) {
+            verifiedPasswords.set(cacheKey, await verifyPassword(data.password, existing.password));
+        }
+        if (!verifiedPasswords.get(cacheKey)) {
+            changes.password = { from: existing.password ? '(set)' : '', to: '(new password)' };
         }
-        values.push(current.trim());
-        
-        // Create object from headers and values
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header] = values[index] || '';
-        });
-        rows.push(row);
     }
-    
-    return { headers, rows };
+    return changes;
 }
 
 // Main bulk import handler
-export async function handleBulkMaterialsImport(request, env, corsResponse) {
+//
+// Rows matching an existing material on (school, grade_level, link) follow
+// duplicateAction: 'skip' (default) leaves it alone, 'replace' updates it and
+// 'importAll' adds the row anyway. A row with an `id` updates that material
+// instead. Updates are snapshotted so undoing the batch restores them.
+export async function handleBulkMaterialsImport(request, env, corsResponse, importedBy) {
     try {
         const contentType = request.headers.get('content-type') || '';
         let csvData = '';
         let mode = 'preview'; // default to preview mode
+        let duplicateAction = 'skip';
         
         // Parse request based on content type
         if (contentType.includes('multipart/form-data')) {
             const formData = await request.formData();
             const file = formData.get('file');
             mode = formData.get('mode') || 'preview';
+            duplicateAction = formData.get('duplicateAction') || 'skip';
             
             if (file) {
                 csvData = await file.text();
@@ -77,18 +225,28 @@ export async function handleBulkMaterialsImport(request, env, corsResponse) {
             const body = await request.json();
             csvData = body.csvData || body.csv || '';
             mode = body.mode || 'preview';
+            duplicateAction = body.duplicateAction || 'skip';
         } else {
             // Assume raw CSV data
             csvData = await request.text();
-            mode = new URL(request.url).searchParams.get('mode') || 'preview';
+            const params = new URL(request.url).searchParams;
+            mode = params.get('mode') || 'preview';
+            duplicateAction = params.get('duplicateAction') || 'skip';
         }
         
         if (!csvData) {
             return corsResponse({ error: 'No CSV data provided' }, 400);
         }
         
+        if (!DUPLICATE_ACTIONS.includes(duplicateAction)) {
+            return corsResponse({ error: 'duplicateAction must be skip, replace or importAll' }, 400);
+        }
+        
         // Parse CSV
-        const { headers, rows } = parseCSV(csvData);
+        const { headers, rows, rowLines, errors: parseErrors } = parseCSV(csvData);
+        if (parseErrors.length > 0) {
+            return csvParseErrorResponse(parseErrors, corsResponse);
+        }
         
         // Validate headers
         const requiredHeaders = ['school', 'date', 'grade_level', 'title', 'link'];
@@ -103,27 +261,46 @@ export async function handleBulkMaterialsImport(request, env, corsResponse) {
             }, 400);
         }
         
+        const startedAt = Date.now();
+
         // Process each row
         const results = {
             total: rows.length,
             valid: [],
+            updates: [],
+            unchanged: [],
             errors: [],
             duplicates: [],
             preview: mode === 'preview'
         };
+        const candidates = [];
+        const idRows = new Map(); // material id -> row number
+        const schools = new Map((await getSchools(env)).map(school => [school.code, school]));
+        const schoolCodes = [...schools.keys()];
+        const missingColumns = OPTIONAL_MATERIAL_COLUMNS.filter(column => !headers.includes(column));
         
-        // Check for duplicates in existing data
-        const duplicateCheckPromises = rows.map(async (row, index) => {
-            const rowNum = index + 2; // +2 because row 1 is headers, and arrays are 0-indexed
+        rows.forEach((row, index) => {
+            const rowNum = rowLines[index]; // line the row starts on
             
             // Validate row data
             const errors = [];
             
+            // Validate id (optional)
+            let id = null;
+            if (row.id) {
+                id = Number(row.id);
+                if (!Number.isInteger(id) || id <= 0) {
+                    errors.push('id must be the id of an existing material');
+                } else if (idRows.has(id)) {
+                    errors.push(`Same id as row ${idRows.get(id)}`);
+                }
+            }
+            
             // Validate school
             if (!row.school) {
                 errors.push('School is required');
-            } else if (!['wlhs', 'wvhs'].includes(row.school.toLowerCase())) {
-                errors.push('School must be wlhs or wvhs');
+            } else if (!schoolCodes.includes(row.school.toLowerCase())) {
+                errors.push(schoolError(schoolCodes));
             }
             
             // Validate date
@@ -138,12 +315,30 @@ export async function handleBulkMaterialsImport(request, env, corsResponse) {
                 }
             }
             
-            // Validate grade level
-            const gradeLevel = parseInt(row.grade_level);
+            // Validate grade level against the school's grades
+            let gradeLevel = null;
+            const school = row.school && schools.get(row.school.toLowerCase());
             if (!row.grade_level) {
                 errors.push('Grade level is required');
-            } else if (![9, 10, 11, 12].includes(gradeLevel)) {
-                errors.push('Grade level must be 9, 10, 11, or 12');
+            } else if (school) {
+                const resolved = resolveGrade(school, row.grade_level);
+                if (resolved.error) {
+                    errors.push(resolved.error);
+                } else {
+                    gradeLevel = resolved.grade;
+                }
+            }
+            
+            // Validate course (optional)
+            const { course, error: courseError } = parseCourse(row.course);
+            if (courseError) {
+                errors.push(courseError);
+            }
+            
+            // Validate publish and expiry times (optional)
+            const { schedule, error: scheduleError } = parseMaterialSchedule(row);
+            if (scheduleError) {
+                errors.push(scheduleError);
             }
             
             // Validate title and link
@@ -164,71 +359,125 @@ export async function handleBulkMaterialsImport(request, env, corsResponse) {
                 return;
             }
             
-            // Check for duplicates (school + grade_level + link)
-            const duplicate = await env.DB.prepare(`
-                SELECT id, title, date 
-                FROM materials 
-                WHERE school = ? AND grade_level = ? AND link = ?
-            `).bind(
-                row.school.toLowerCase(),
-                gradeLevel,
-                row.link
-            ).first();
-            
-            if (duplicate) {
-                results.duplicates.push({
-                    row: rowNum,
-                    data: row,
-                    existing: {
-                        id: duplicate.id,
-                        title: duplicate.title,
-                        date: duplicate.date
-                    }
-                });
+            if (id !== null) idRows.set(id, rowNum);
+            const data = {
+                ...row,
+                school: row.school.toLowerCase(),
+                date: formattedDate,
+                grade_level: gradeLevel,
+                course,
+                ...schedule,
+                description: row.description || '',
+                password: row.password || ''
+            };
+            missingColumns.forEach(column => delete data[column]);
+            candidates.push({ row: rowNum, id, source: row, data });
+        });
+        
+        // Look up the materials rows refer to by id, and duplicates
+        // (school + grade_level + link) of the rest, in one pass each
+        const materialColumns = `m.id, m.school, m.date, m.grade_level, m.course, m.title, m.link, m.description,
+            m.publish_at, m.expires_at, m.password, m.file_key`;
+        const byId = await findExistingByKey(env.DB, `
+            SELECT ${materialColumns}
+            FROM json_each(?) AS k
+            JOIN materials m ON m.id = json_extract(k.value, '$[0]')
+        `, candidates.filter(item => item.id !== null).map(item => [item.id]), material => [material.id]);
+        
+        const materialKey = data => [data.school, data.grade_level, data.link];
+        const existing = await findExistingByKey(env.DB, `
+            SELECT ${materialColumns}
+            FROM json_each(?) AS k
+            JOIN materials m
+                ON m.school = json_extract(k.value, '$[0]')
+                AND m.grade_level = json_extract(k.value, '$[1]')
+                AND m.link = json_extract(k.value, '$[2]')
+        `, candidates.filter(item => item.id === null).map(item => materialKey(item.data)), materialKey);
+        
+        const verifiedPasswords = new Map();
+        const fileKeys = new Map(); // material id -> uploaded file, for updates
+        const addUpdate = async (item, material) => {
+            if (material.file_key) fileKeys.set(material.id, material.file_key);
+            const changes = await materialChanges(material, item.data, verifiedPasswords);
+            const update = { row: item.row, id: material.id, data: item.data, changes };
+            if (Object.keys(changes).length > 0) {
+                results.updates.push(update);
             } else {
-                results.valid.push({
-                    row: rowNum,
-                    data: {
-                        ...row,
-                        school: row.school.toLowerCase(),
-                        date: formattedDate,
-                        grade_level: gradeLevel,
-                        description: row.description || '',
-                        password: row.password || ''
-                    }
-                });
+                results.unchanged.push({ row: item.row, id: material.id });
             }
-        });
+        };
         
-        await Promise.all(duplicateCheckPromises);
+        for (const item of candidates) {
+            if (item.id !== null) {
+                const material = (byId.get(JSON.stringify([item.id])) || [])[0];
+                if (material) {
+                    await addUpdate(item, material);
+                } else {
+                    results.errors.push({
+                        row: item.row,
+                        data: item.source,
+                        errors: [`No material with id ${item.id}`]
+                    });
+                }
+                continue;
+            }
+            
+            const matches = existing.get(JSON.stringify(materialKey(item.data))) || [];
+            if (matches.length === 0 || duplicateAction === 'importAll') {
+                results.valid.push({ row: item.row, data: item.data });
+            }
+            if (matches.length === 0) continue;
+            
+            results.duplicates.push({
+                row: item.row,
+                data: item.source,
+                existing: {
+                    id: matches[0].id,
+                    title: matches[0].title,
+                    date: matches[0].date
+                }
+            });
+            if (duplicateAction === 'replace') {
+                for (const material of matches) {
+                    await addUpdate(item, material);
+                }
+            }
+        }
+        
+        results.updates.sort((a, b) => a.row - b.row);
+        results.errors.sort((a, b) => a.row - b.row);
+        const summary = {
+            total: results.total,
+            valid: results.valid.length,
+            updates: results.updates.length,
+            unchanged: results.unchanged.length,
+            errors: results.errors.length,
+            duplicates: results.duplicates.length
+        };
+        
+        const validatedAt = Date.now();
         
         // If preview mode, return the results without inserting
         if (mode === 'preview') {
             return corsResponse({
                 mode: 'preview',
-                summary: {
-                    total: results.total,
-                    valid: results.valid.length,
-                    errors: results.errors.length,
-                    duplicates: results.duplicates.length
-                },
+                duplicateAction,
+                summary,
                 valid: results.valid,
+                updates: results.updates,
+                unchanged: results.unchanged,
                 errors: results.errors,
-                duplicates: results.duplicates
+                duplicates: results.duplicates,
+                timing: { validateMs: validatedAt - startedAt }
             });
         }
         
         // Commit mode - insert valid records
-        if (results.valid.length === 0) {
+        if (results.valid.length === 0 && results.updates.length === 0) {
             return corsResponse({
                 mode: 'commit',
                 message: 'No valid records to import',
-                summary: {
-                    total: results.total,
-                    valid: 0,
-                    errors: results.errors.length,
-                    duplicates: results.duplicates.length
-                },
+                summary,
                 errors: results.errors,
                 duplicates: results.duplicates
             });
@@ -237,70 +486,149 @@ export async function handleBulkMaterialsImport(request, env, corsResponse) {
         // Generate batch ID
         const batchId = `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
-        // Begin transaction-like operation
-        const insertedIds = [];
-        const insertErrors = [];
-        
-        for (const item of results.valid) {
-            try {
-                const result = await env.DB.prepare(`
-                    INSERT INTO materials (school, date, grade_level, title, link, description, password, import_batch_id)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                `).bind(
-                    item.data.school,
-                    item.data.date,
-                    item.data.grade_level,
-                    item.data.title,
-                    item.data.link,
-                    item.data.description,
-                    item.data.password,
-                    batchId
-                ).run();
-                
-                insertedIds.push(result.meta.last_row_id);
-            } catch (error) {
-                insertErrors.push({
-                    row: item.row,
-                    data: item.data,
-                    error: error.message
-                });
+        const passwordHashes = new Map(); // CSVs tend to reuse one password per class
+        for (const item of [...results.valid, ...results.updates]) {
+            const password = item.data.password;
+            if (password && !passwordHashes.has(password)) {
+                passwordHashes.set(password, await hashPassword(password));
             }
         }
+        const stored = data => ({
+            ...data,
+            password: data.password ? passwordHashes.get(data.password) : ''
+        });
+        
+        // Every chunk and the batch record go in one D1 batch, so the import
+        // either lands completely or not at all
+        const insertChunks = chunk(results.valid);
+        const statements = insertChunks.map(part => env.DB.prepare(`
+            INSERT INTO materials (
+                school, date, grade_level, course, title, link, description, publish_at, expires_at, password, import_batch_id
+            )
+            SELECT
+                json_extract(value, '$.school'),
+                json_extract(value, '$.date'),
+                json_extract(value, '$.grade_level'),
+                json_extract(value, '$.course'),
+                json_extract(value, '$.title'),
+                json_extract(value, '$.link'),
+                json_extract(value, '$.description'),
+                json_extract(value, '$.publish_at'),
+                json_extract(value, '$.expires_at'),
+                json_extract(value, '$.password'),
+                ?
+            FROM json_each(?)
+            ORDER BY key
+            RETURNING id
+        `).bind(batchId, JSON.stringify(part.map(item => stored(item.data)))));
+        
+        // Updated materials are snapshotted first; a blank password keeps the
+        // current one, and an optional column the file left out the current
+        // value. Several rows replacing one material: the last one wins. A
+        // material made from an uploaded file that a row links elsewhere lets
+        // the file go, as PUT /api/materials/:id does.
+        const keepIfMissing = column => `${column} = CASE WHEN json_type(k.value, '$[1].${column}') IS NULL
+                        THEN ${column} ELSE json_extract(k.value, '$[1].${column}') END`;
+        const keepIfFileLink = column => `${column} = CASE
+                        WHEN json_extract(k.value, '$[1].link') = '/api/materials/' || materials.id || '/file' THEN ${column} END`;
+        const replacements = new Map();
+        results.updates.forEach(item => replacements.set(item.id, stored(item.data)));
+        const droppedFiles = [...replacements]
+            .filter(([id, data]) => fileKeys.has(id) && data.link !== fileLink(id))
+            .map(([id]) => fileKeys.get(id));
+        const updateChunks = chunk([...replacements]);
+        updateChunks.forEach(part => statements.push(
+            snapshotStatement(env.DB, 'materials', batchId, part.map(([id]) => id)),
+            env.DB.prepare(`
+                UPDATE materials
+                SET school = json_extract(k.value, '$[1].school'),
+                    date = json_extract(k.value, '$[1].date'),
+                    grade_level = json_extract(k.value, '$[1].grade_level'),
+                    title = json_extract(k.value, '$[1].title'),
+                    link = json_extract(k.value, '$[1].link'),
+                    description = json_extract(k.value, '$[1].description'),
+                    ${OPTIONAL_MATERIAL_COLUMNS.map(keepIfMissing).join(',\n                    ')},
+                    password = COALESCE(NULLIF(json_extract(k.value, '$[1].password'), ''), password),
+                    ${FILE_COLUMNS.map(keepIfFileLink).join(',\n                    ')},
+                    updated_at = datetime('now'),
+                    import_batch_id = ?
+                FROM json_each(?) AS k
+                WHERE materials.id = json_extract(k.value, '$[0]')
+            `).bind(batchId, JSON.stringify(part))
+        ));
+        
+        const written = [...results.valid, ...results.updates];
         
         // Record the import batch
-        await env.DB.prepare(`
-            INSERT INTO import_batches (id, total_count, success_count, error_count, duplicate_count, status, summary)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+        statements.push(env.DB.prepare(`
+            INSERT INTO import_batches (id, imported_by, total_count, success_count, error_count, duplicate_count, status, summary, inserted_count, replaced_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `).bind(
             batchId,
+            importedBy,
             results.total,
-            insertedIds.length,
-            results.errors.length + insertErrors.length,
+            results.valid.length + replacements.size,
+            results.errors.length,
             results.duplicates.length,
             'completed',
             JSON.stringify({
-                schools: [...new Set(results.valid.map(v => v.data.school))],
-                grades: [...new Set(results.valid.map(v => v.data.grade_level))],
-                dateRange: results.valid.length > 0 ? {
-                    min: Math.min(...results.valid.map(v => new Date(v.data.date))),
-                    max: Math.max(...results.valid.map(v => new Date(v.data.date)))
+                schools: [...new Set(written.map(v => v.data.school))],
+                grades: [...new Set(written.map(v => v.data.grade_level))],
+                dateRange: written.length > 0 ? {
+                    min: Math.min(...written.map(v => new Date(v.data.date))),
+                    max: Math.max(...written.map(v => new Date(v.data.date)))
                 } : null
-            })
-        ).run();
+            }),
+            results.valid.length,
+            replacements.size
+        ));
+        
+        let committed;
+        try {
+            committed = await env.DB.batch(statements);
+        } catch (error) {
+            console.error('Bulk import commit error:', error);
+            return corsResponse({
+                error: 'Import failed; no materials were imported',
+                message: error.message
+            }, 500);
+        }
+        
+        const ids = insertedIds(committed.slice(0, insertChunks.length));
+        await deleteMaterialFiles(env, droppedFiles);
+        const finishedAt = Date.now();
+        
+        // What happened to each row of the file, in file order
+        const skipped = duplicateAction === 'skip' ? results.duplicates : [];
+        const outcomes = [
+            ...results.valid.map((item, index) => ({ row: item.row, status: 'imported', id: ids[index] })),
+            ...results.updates.map(item => ({ row: item.row, status: 'updated', id: item.id, changes: item.changes })),
+            ...results.unchanged.map(item => ({ row: item.row, status: 'unchanged', id: item.id })),
+            ...skipped.map(item => ({ row: item.row, status: 'duplicate', existingId: item.existing.id })),
+            ...results.errors.map(item => ({ row: item.row, status: 'error', errors: item.errors }))
+        ].sort((a, b) => a.row - b.row);
         
         return corsResponse({
             mode: 'commit',
             batchId,
-            message: `Successfully imported ${insertedIds.length} materials`,
+            message: `Successfully imported ${ids.length} materials` +
+                (replacements.size > 0 ? ` and updated ${replacements.size}` : ''),
             summary: {
-                total: results.total,
-                imported: insertedIds.length,
-                errors: results.errors.length + insertErrors.length,
-                duplicates: results.duplicates.length
+                ...summary,
+                imported: ids.length,
+                updated: replacements.size
             },
-            imported: insertedIds.length,
-            errors: [...results.errors, ...insertErrors],
-            duplicates: results.duplicates
+            imported: ids.length,
+            updated: replacements.size,
+            errors: results.errors,
+            duplicates: results.duplicates,
+            outcomes,
+            timing: {
+                validateMs: validatedAt - startedAt,
+                commitMs: finishedAt - validatedAt,
+                totalMs: finishedAt - startedAt,
+                chunks: insertChunks.length + updateChunks.length
+            }
         });
         
     } catch (error) {
@@ -318,7 +646,7 @@ export async function handleUndoBulkImport(env, batchId, corsResponse) {
         // Check if batch exists and is recent (within 1 week)
         const batch = await env.DB.prepare(`
             SELECT * FROM import_batches 
-            WHERE id = ? 
+            WHERE id = ? AND status = 'completed'
             AND datetime(imported_at) > datetime('now', '-7 days')
         `).bind(batchId).first();
         
@@ -328,22 +656,28 @@ export async function handleUndoBulkImport(env, batchId, corsResponse) {
             }, 404);
         }
         
-        // Delete materials from this batch
-        const result = await env.DB.prepare(`
-            DELETE FROM materials WHERE import_batch_id = ?
-        `).bind(batchId).run();
-        
-        // Update batch status
-        await env.DB.prepare(`
-            UPDATE import_batches 
-            SET status = 'undone' 
-            WHERE id = ?
-        `).bind(batchId).run();
+        // Files uploaded with the batch go along with the materials it made
+        const files = await env.DB.prepare(`
+            SELECT file_key FROM materials
+            WHERE import_batch_id = ? AND file_key IS NOT NULL
+            AND id NOT IN (SELECT material_id FROM materials_import_snapshots WHERE batch_id = ?)
+        `).bind(batchId, batchId).all();
+
+        const undone = await undoImportBatch(env.DB, 'materials', batchId);
+        if (undone.blockingBatches) {
+            return corsResponse({
+                error: 'A later import updated materials from this batch. Undo it first.',
+                blockingBatches: undone.blockingBatches
+            }, 409);
+        }
+
+        await deleteMaterialFiles(env, files.results.map(row => row.file_key));
         
         return corsResponse({
             success: true,
-            message: `Removed ${result.changes} materials from batch ${batchId}`,
-            deletedCount: result.changes,
+            message: `Removed ${undone.deletedCount} materials and restored ${undone.restoredCount} from batch ${batchId}`,
+            deletedCount: undone.deletedCount,
+            restoredCount: undone.restoredCount,
             batch: {
                 id: batch.id,
                 importedAt: batch.imported_at,
@@ -384,101 +718,22 @@ export async function handleGetImportHistory(env, corsResponse) {
     }
 }
 
-// Database schema updates for bulk import
-export async function initBulkImportSchema(env) {
-    try {
-        // Create import_batches table
-        await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS import_batches (
-                id TEXT PRIMARY KEY,
-                imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                imported_by TEXT,
-                total_count INTEGER NOT NULL,
-                success_count INTEGER NOT NULL,
-                error_count INTEGER NOT NULL,
-                duplicate_count INTEGER NOT NULL,
-                status TEXT NOT NULL,
-                summary TEXT
-            )
-        `).run();
-        
-        // Add import_batch_id column to materials table if it doesn't exist
-        try {
-            await env.DB.prepare(`
-                ALTER TABLE materials ADD COLUMN import_batch_id TEXT
-            `).run();
-            console.log('Added import_batch_id column to materials table');
-        } catch (e) {
-            // Column might already exist
-            console.log('import_batch_id column may already exist');
-        }
-        
-        // Create indexes for better performance
-        await env.DB.prepare(`
-            CREATE INDEX IF NOT EXISTS idx_materials_school_grade_link 
-            ON materials(school, grade_level, link)
-        `).run();
-        
-        await env.DB.prepare(`
-            CREATE INDEX IF NOT EXISTS idx_materials_import_batch 
-            ON materials(import_batch_id)
-        `).run();
-        
-        // Create events_import_batches table
-        await env.DB.prepare(`
-        CREATE TABLE IF NOT EXISTS events_import_batches (
-        id TEXT PRIMARY KEY,
-        imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        imported_by TEXT,
-        total_count INTEGER NOT NULL,
-        success_count INTEGER NOT NULL,
-        error_count INTEGER NOT NULL,
-        duplicate_count INTEGER NOT NULL,
-        status TEXT NOT NULL,
-        summary TEXT
-            )
-        `).run();
-
-        // Add import_batch_id column to events table if it doesn't exist
-        try {
-            await env.DB.prepare(`
-                ALTER TABLE events ADD COLUMN import_batch_id TEXT
-            `).run();
-            console.log('Added import_batch_id column to events table');
-        } catch (e) {
-            // Column might already exist
-            console.log('import_batch_id column may already exist for events');
-        }
-
-        // Create indexes for better performance
-        await env.DB.prepare(`
-            CREATE INDEX IF NOT EXISTS idx_events_school_date_title 
-            ON events(school, date, title)
-        `).run();
-
-        await env.DB.prepare(`
-            CREATE INDEX IF NOT EXISTS idx_events_import_batch 
-            ON events(import_batch_id)
-        `).run();
-
-        console.log('Bulk import schema initialized successfully');
-        return true;
-        
-    } catch (error) {
-        console.error('Error initializing bulk import schema:', error);
-        throw error;
-    }
-}
-
 // EVENTS BULK IMPORT FUNCTIONS
 
-// Validate a single event row
-function validateEventRow(row, rowIndex) {
+// Validate a single event row; `departments` is every department, from
+// getDepartments, and `schoolCodes` every school's code
+function validateEventRow(row, rowIndex, departments, schoolCodes) {
     const errors = [];
     
     // Required fields
-    if (!row.school || !['wlhs', 'wvhs'].includes(row.school.toLowerCase())) {
-        errors.push(`Row ${rowIndex}: School must be 'wlhs' or 'wvhs'`);
+    if (!row.school || !schoolCodes.includes(row.school.toLowerCase())) {
+        errors.push(`Row ${rowIndex}: ${schoolError(schoolCodes)}`);
+    } else {
+        // Optional, but has to be one of the school's departments
+        const { error } = resolveDepartment(departmentsFor(departments, row.school.toLowerCase()), row.department);
+        if (error) {
+            errors.push(`Row ${rowIndex}: ${error}`);
+        }
     }
     
     if (!row.date) {
@@ -488,6 +743,18 @@ function validateEventRow(row, rowIndex) {
             const date = new Date(row.date);
             if (isNaN(date.getTime())) {
                 errors.push(`Row ${rowIndex}: Invalid date format (use YYYY-MM-DD)`);
+            } else {
+                // end_date, end_time, all_day and location
+                const { error } = parseEventDetails(formatDate(row.date), row);
+                if (error) {
+                    errors.push(`Row ${rowIndex}: ${error}`);
+                }
+                if (row.recurrence) {
+                    const rule = parseRecurrence(row.recurrence, formatDate(row.date));
+                    if (rule.error) {
+                        errors.push(`Row ${rowIndex}: ${rule.error}`);
+                    }
+                }
             }
         } catch (e) {
             errors.push(`Row ${rowIndex}: Invalid date format`);
@@ -498,16 +765,58 @@ function validateEventRow(row, rowIndex) {
         errors.push(`Row ${rowIndex}: Title is required`);
     }
     
-    // Optional field validation
-    if (row.department && !['ASB', 'Life', 'Athletics', 'Art/Theater', 'Counseling', 'Testing', 'Staff'].includes(row.department)) {
-        errors.push(`Row ${rowIndex}: Invalid department (must be ASB, Life, Athletics, Art/Theater, Counseling, Testing, or Staff)`);
-    }
-    
     return errors;
 }
 
+// Event fields a CSV row can change
+const EVENT_FIELDS = ['school', 'date', 'title', 'department', 'time', 'description', 'end_date', 'end_time', 'all_day', 'location'];
+
+// A series' rule as JSON, the way the export writes it; blank for a one-off
+// event. A file without the column leaves each event's rule as it is.
+const EVENT_RECURRENCE_COLUMN = 'recurrence';
+
+// A row's recurrence as it is stored, once validateEventRow has passed it
+function eventRecurrence(row) {
+    return row.recurrence ? JSON.stringify(parseRecurrence(row.recurrence, formatDate(row.date)).recurrence) : null;
+}
+
+// Rows for an .ics upload: one per event occurrence, with the school and
+// department the admin picked for the whole file. Events the file describes
+// in a way we can't import come back as `invalid`.
+function calendarFileRows(text, school, department) {
+    const { events, invalid, errors } = parseCalendarFile(text);
+    return {
+        headers: EVENT_FIELDS,
+        rows: events.map(event => ({
+            school,
+            date: event.date,
+            end_date: event.end_date || '',
+            title: event.title,
+            department,
+            time: event.time || '',
+            end_time: event.end_time || '',
+            all_day: event.all_day ? '1' : '0',
+            location: event.location,
+            description: event.description
+        })),
+        rowLines: events.map(event => event.line),
+        invalid: invalid.map(item => ({
+            row: item.line,
+            data: { school, title: item.title },
+            errors: [`Row ${item.line}: ${item.message}`]
+        })),
+        errors
+    };
+}
+
     //Main Bulk Events Import Function
-    export async function handleBulkEventsImport(request, env, corsResponse) {
+    //
+    // A row with an `id` updates that event; other rows are matched against
+    // existing events on (school, date, title) and follow duplicateAction.
+    // An iCalendar file (format: 'ics', or content starting BEGIN:VCALENDAR)
+    // is read with parseCalendarFile and needs `school`, plus an optional
+    // `department`, for all of its events.
+    export async function handleBulkEventsImport(request, env, corsResponse, importedBy) {
         try {
             const contentType = request.headers.get('content-type') || '';
             let csvData = '';
@@ -520,6 +829,9 @@ function validateEventRow(row, rowIndex) {
                 const file = formData.get('file');
                 mode = formData.get('mode') || 'preview';
                 requestBody.duplicateAction = formData.get('duplicateAction') || 'skip';
+                requestBody.format = formData.get('format') || (file && /\.ics$/i.test(file.name || '') ? 'ics' : undefined);
+                requestBody.school = formData.get('school');
+                requestBody.department = formData.get('department');
                 
                 if (file) {
                     csvData = await file.text();
@@ -531,16 +843,51 @@ function validateEventRow(row, rowIndex) {
             } else {
                 // Assume raw CSV data
                 csvData = await request.text();
-                mode = new URL(request.url).searchParams.get('mode') || 'preview';
+                const searchParams = new URL(request.url).searchParams;
+                mode = searchParams.get('mode') || 'preview';
                 requestBody.duplicateAction = 'skip';
+                requestBody.format = searchParams.get('format') || undefined;
+                requestBody.school = searchParams.get('school');
+                requestBody.department = searchParams.get('department');
             }
         
         if (!csvData) {
             return corsResponse({ error: 'No CSV data provided' }, 400);
         }
         
-        // Parse CSV
-        const { headers, rows } = parseCSV(csvData);
+        const duplicateAction = requestBody.duplicateAction || 'skip';
+        if (!DUPLICATE_ACTIONS.includes(duplicateAction)) {
+            return corsResponse({ error: 'duplicateAction must be skip, replace or importAll' }, 400);
+        }
+        
+        const isCalendarFile = requestBody.format === 'ics' || /^\uFEFF?\s*BEGIN:VCALENDAR/i.test(csvData);
+        
+        const departments = await getDepartments(env);
+        const schoolCodes = await getSchoolCodes(env);
+        
+        let parsed;
+        if (isCalendarFile) {
+            const school = String(requestBody.school || '').toLowerCase();
+            if (!schoolCodes.includes(school)) {
+                return corsResponse({ error: `Choose the school for the calendar file's events (${schoolCodes.join(', ')})` }, 400);
+            }
+            const { department, error } = resolveDepartment(departmentsFor(departments, school), requestBody.department);
+            if (error) {
+                return corsResponse({ error }, 400);
+            }
+            parsed = calendarFileRows(csvData, school, department || '');
+        } else {
+            parsed = { ...parseCSV(csvData), invalid: [] };
+        }
+        
+        const { headers, rows, rowLines, errors: parseErrors } = parsed;
+        if (parseErrors.length > 0) {
+            return csvParseErrorResponse(parseErrors, corsResponse, isCalendarFile ? 'calendar file' : 'CSV');
+        }
+        
+        // CSV rows, or for a calendar file every occurrence plus the events it
+        // couldn't read
+        const total = rows.length + parsed.invalid.length;
         
         // Validate headers
         const requiredHeaders = ['school', 'date', 'title'];
@@ -553,19 +900,36 @@ function validateEventRow(row, rowIndex) {
             }, 400);
         }
         
+        const startedAt = Date.now();
+        
         // Validate and process rows
         const results = {
             valid: [],
-            invalid: [],
-            duplicates: []
+            invalid: [...parsed.invalid],
+            duplicates: [],
+            updates: [],
+            unchanged: []
         };
+        const idRows = new Map(); // event id -> row number
+        const hasRecurrence = headers.includes(EVENT_RECURRENCE_COLUMN);
+        const changedFields = hasRecurrence ? [...EVENT_FIELDS, EVENT_RECURRENCE_COLUMN] : EVENT_FIELDS;
         
         for (let i = 0; i < rows.length; i++) {
             const row = rows[i];
-            const rowIndex = i + 2; // +2 because CSV is 1-indexed and has header row
+            const rowIndex = rowLines[i]; // line the row starts on
             
             // Validate row
-            const errors = validateEventRow(row, rowIndex);
+            const errors = validateEventRow(row, rowIndex, departments, schoolCodes);
+            
+            let id = null;
+            if (row.id) {
+                id = Number(row.id);
+                if (!Number.isInteger(id) || id <= 0) {
+                    errors.push(`Row ${rowIndex}: id must be the id of an existing event`);
+                } else if (idRows.has(id)) {
+                    errors.push(`Row ${rowIndex}: Same id as row ${idRows.get(id)}`);
+                }
+            }
             
             if (errors.length > 0) {
                 results.invalid.push({
@@ -576,54 +940,102 @@ function validateEventRow(row, rowIndex) {
                 continue;
             }
             
-            // Check for duplicates in database (same school, date, title)
-            const existing = await env.DB.prepare(`
-                SELECT id FROM events 
-                WHERE school = ? AND date = ? AND title = ?
-            `).bind(
-                row.school.toLowerCase(), 
-                formatDate(row.date), 
-                row.title.trim()
-            ).first();
-            
-            if (existing) {
-                results.duplicates.push({
-                    row: rowIndex,
-                    data: row,
-                    existingId: existing.id,
-                    existingEvent: existing // Include the existing event data
-                });
-                // Don't continue here - let it also be marked as valid so user can choose
-            }
-            
-            // Add to valid results (even if it's a duplicate)
+            if (id !== null) idRows.set(id, rowIndex);
             results.valid.push({
                 row: rowIndex,
+                id,
                 data: {
                     school: row.school.toLowerCase(),
                     date: formatDate(row.date),
                     title: row.title.trim(),
-                    department: row.department ? row.department.trim() : null,
-                    time: row.time ? row.time.trim() : null,
-                    description: row.description ? row.description.trim() : ''
+                    department: resolveDepartment(departmentsFor(departments, row.school.toLowerCase()), row.department).department,
+                    description: row.description ? row.description.trim() : '',
+                    ...parseEventDetails(formatDate(row.date), row).details,
+                    ...(hasRecurrence ? { recurrence: eventRecurrence(row) } : {})
                 },
-                isDuplicate: !!existing
+                isDuplicate: false
+            });
+        }
+        
+        // Rows with an id update that event; anything else about them is
+        // settled here
+        const eventColumns = `e.id, e.school, e.date, e.end_date, e.title, e.department, e.time, e.end_time, e.all_day, e.location,
+            e.description, e.recurrence`;
+        const byId = await findExistingByKey(env.DB, `
+            SELECT ${eventColumns}
+            FROM json_each(?) AS k
+            JOIN events e ON e.id = json_extract(k.value, '$[0]')
+        `, results.valid.filter(validRow => validRow.id !== null).map(validRow => [validRow.id]), event => [event.id]);
+        
+        results.valid = results.valid.filter(validRow => {
+            if (validRow.id === null) return true;
+            
+            const event = (byId.get(JSON.stringify([validRow.id])) || [])[0];
+            if (!event) {
+                results.invalid.push({
+                    row: validRow.row,
+                    data: validRow.data,
+                    errors: [`Row ${validRow.row}: No event with id ${validRow.id}`]
+                });
+                return false;
+            }
+            
+            validRow.changes = fieldChanges(event, validRow.data, changedFields);
+            const update = { row: validRow.row, id: validRow.id, data: validRow.data, changes: validRow.changes };
+            if (Object.keys(validRow.changes).length > 0) {
+                results.updates.push(update);
+            } else {
+                results.unchanged.push({ row: validRow.row, id: validRow.id });
+            }
+            return true;
+        });
+        results.invalid.sort((a, b) => a.row - b.row);
+        
+        // Check for duplicates in database (same school, date, title) in one pass
+        const eventKey = data => [data.school, data.date, data.title];
+        const newRows = results.valid.filter(validRow => validRow.id === null);
+        const existing = await findExistingByKey(env.DB, `
+            SELECT e.id, e.school, e.date, e.title
+            FROM json_each(?) AS k
+            JOIN events e
+                ON e.school = json_extract(k.value, '$[0]')
+                AND e.date = json_extract(k.value, '$[1]')
+                AND e.title = json_extract(k.value, '$[2]')
+        `, newRows.map(validRow => eventKey(validRow.data)), eventKey);
+        
+        for (const validRow of newRows) {
+            const matches = existing.get(JSON.stringify(eventKey(validRow.data)));
+            if (!matches) continue;
+            
+            // Still counted as valid so the user can choose what to do with it
+            validRow.isDuplicate = true;
+            validRow.existingIds = matches.map(match => match.id);
+            results.duplicates.push({
+                row: validRow.row,
+                data: validRow.data,
+                existingId: matches[0].id,
+                existingEvent: matches[0] // Include the existing event data
             });
         }
         
+        const validatedAt = Date.now();
+        
         // If preview mode, return validation results
         if (mode === 'preview') {
             return corsResponse({
                 mode: 'preview',
                 summary: {
-                    total: rows.length,
+                    total: total,
                     valid: results.valid.length,
                     invalid: results.invalid.length,
-                    duplicates: results.duplicates.length
+                    duplicates: results.duplicates.length,
+                    updates: results.updates.length,
+                    unchanged: results.unchanged.length
                 },
                 results: results,
                 sampleValid: results.valid.slice(0, 5), // Show first 5 valid rows as preview
-                headers: headers
+                headers: headers,
+                timing: { validateMs: validatedAt - startedAt }
             });
         }
         
@@ -633,7 +1045,7 @@ function validateEventRow(row, rowIndex) {
                 return corsResponse({ 
                     error: 'No valid events to import',
                     summary: {
-                        total: rows.length,
+                        total: total,
                         valid: 0,
                         invalid: results.invalid.length,
                         duplicates: results.duplicates.length
@@ -641,79 +1053,120 @@ function validateEventRow(row, rowIndex) {
                 }, 400);
             }
             
-            const duplicateAction = requestBody.duplicateAction || 'skip';
-            
-            // Generate batch ID for tracking - MOVE THIS TO THE TOP
+            // Generate batch ID for tracking
             const batchId = crypto.randomUUID();
-            let insertedCount = 0;
-            
-            // Process based on duplicate action
-            for (const validRow of results.valid) {
-                if (validRow.isDuplicate) {
-                    if (duplicateAction === 'skip') {
-                        continue; // Skip this row
-                    } else if (duplicateAction === 'replace') {
-                        // Update existing event
-                        await env.DB.prepare(`
-                            UPDATE events 
-                            SET title = ?, department = ?, time = ?, description = ?, 
-                                updated_at = datetime('now'), import_batch_id = ?
-                            WHERE school = ? AND date = ? AND title = ?
-                        `).bind(
-                            validRow.data.title,
-                            validRow.data.department,
-                            validRow.data.time,
-                            validRow.data.description,
-                            batchId, // Now this will work
-                            validRow.data.school,
-                            validRow.data.date,
-                            validRow.data.title
-                        ).run();
-                        insertedCount++;
-                    }
-                    // For 'importAll', just insert normally (will create duplicate)
-                }
-                
-                if (!validRow.isDuplicate || duplicateAction === 'importAll') {
-                    // Insert new event
-                    await env.DB.prepare(`
-                        INSERT INTO events (school, date, title, department, time, description, import_batch_id)
-                        VALUES (?, ?, ?, ?, ?, ?, ?)
-                    `).bind(
-                        validRow.data.school,
-                        validRow.data.date,
-                        validRow.data.title,
-                        validRow.data.department,
-                        validRow.data.time,
-                        validRow.data.description,
-                        batchId
-                    ).run();
-                    insertedCount++;
-                }
-            }
             
-            // Record the import batch
-            await env.DB.prepare(`
+            // Sort rows by duplicate action: 'skip' leaves existing events alone,
+            // 'replace' updates them, 'importAll' inserts alongside them
+            const toInsert = newRows.filter(validRow => !validRow.isDuplicate || duplicateAction === 'importAll');
+            const toReplace = duplicateAction === 'replace' ? newRows.filter(validRow => validRow.isDuplicate) : [];
+            
+            // Existing event id -> row that replaces it (the last one wins)
+            const replacements = new Map();
+            toReplace.forEach(validRow => validRow.existingIds.forEach(id => replacements.set(id, validRow.data)));
+            results.updates.forEach(update => replacements.set(update.id, update.data));
+            
+            const insertChunks = chunk(toInsert);
+            const statements = insertChunks.map(part => env.DB.prepare(`
+                INSERT INTO events (
+                    school, date, end_date, title, department, time, end_time, all_day, location, description, recurrence,
+                    import_batch_id
+                )
+                SELECT
+                    json_extract(value, '$.school'),
+                    json_extract(value, '$.date'),
+                    json_extract(value, '$.end_date'),
+                    json_extract(value, '$.title'),
+                    json_extract(value, '$.department'),
+                    json_extract(value, '$.time'),
+                    json_extract(value, '$.end_time'),
+                    json_extract(value, '$.all_day'),
+                    json_extract(value, '$.location'),
+                    json_extract(value, '$.description'),
+                    json_extract(value, '$.recurrence'),
+                    ?
+                FROM json_each(?)
+                ORDER BY key
+                RETURNING id
+            `).bind(batchId, JSON.stringify(part.map(validRow => validRow.data))));
+            
+            // Each replaced event is snapshotted before it is overwritten so
+            // undo can restore it; without a recurrence column its rule stays
+            const replaceChunks = chunk([...replacements]);
+            replaceChunks.forEach(part => statements.push(snapshotStatement(env.DB, 'events', batchId, part.map(([id]) => id)), env.DB.prepare(`
+                UPDATE events
+                SET school = json_extract(k.value, '$[1].school'),
+                    date = json_extract(k.value, '$[1].date'),
+                    end_date = json_extract(k.value, '$[1].end_date'),
+                    title = json_extract(k.value, '$[1].title'),
+                    department = json_extract(k.value, '$[1].department'),
+                    time = json_extract(k.value, '$[1].time'),
+                    end_time = json_extract(k.value, '$[1].end_time'),
+                    all_day = json_extract(k.value, '$[1].all_day'),
+                    location = json_extract(k.value, '$[1].location'),
+                    description = json_extract(k.value, '$[1].description'),
+                    recurrence = CASE WHEN json_type(k.value, '$[1].recurrence') IS NULL
+                        THEN recurrence ELSE json_extract(k.value, '$[1].recurrence') END,
+                    updated_at = datetime('now'),
+                    import_batch_id = ?
+                FROM json_each(?) AS k
+                WHERE events.id = json_extract(k.value, '$[0]')
+            `).bind(batchId, JSON.stringify(part))));
+            
+            const insertedCount = toInsert.length + toReplace.length + results.updates.length;
+            
+            // Record the import batch in the same D1 batch, so the import
+            // either lands completely or not at all
+            statements.push(env.DB.prepare(`
                 INSERT INTO events_import_batches (
                     id, imported_by, total_count, success_count, 
-                    error_count, duplicate_count, status, summary
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    error_count, duplicate_count, status, summary,
+                    inserted_count, replaced_count
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `).bind(
                 batchId,
-                'admin',
-                rows.length,
+                importedBy,
+                total,
                 insertedCount,
                 results.invalid.length,
                 results.duplicates.length,
                 'completed',
                 JSON.stringify({
-                    totalRows: rows.length,
+                    totalRows: total,
                     validRows: results.valid.length,
                     invalidRows: results.invalid.length,
                     duplicateRows: results.duplicates.length,
                     insertedCount: insertedCount
-                })
-            ).run();
+                }),
+                toInsert.length,
+                replacements.size
+            ));
+            
+            let committed;
+            try {
+                committed = await env.DB.batch(statements);
+            } catch (error) {
+                console.error('Events bulk import commit error:', error);
+                return corsResponse({
+                    error: 'Import failed; no events were imported',
+                    message: error.message
+                }, 500);
+            }
+            
+            const ids = insertedIds(committed.slice(0, insertChunks.length));
+            const finishedAt = Date.now();
+            
+            // What happened to each row of the file, in file order
+            const outcomes = [
+                ...toInsert.map((validRow, index) => ({ row: validRow.row, status: 'imported', id: ids[index] })),
+                ...toReplace.map(validRow => ({ row: validRow.row, status: 'replaced', existingIds: validRow.existingIds })),
+                ...results.updates.map(update => ({ row: update.row, status: 'updated', id: update.id, changes: update.changes })),
+                ...results.unchanged.map(item => ({ row: item.row, status: 'unchanged', id: item.id })),
+                ...newRows
+                    .filter(validRow => validRow.isDuplicate && duplicateAction === 'skip')
+                    .map(validRow => ({ row: validRow.row, status: 'skipped', existingIds: validRow.existingIds })),
+                ...results.invalid.map(item => ({ row: item.row, status: 'error', errors: item.errors }))
+            ].sort((a, b) => a.row - b.row);
             
             return corsResponse({
                 success: true,
@@ -721,11 +1174,21 @@ function validateEventRow(row, rowIndex) {
                 imported: insertedCount,
                 batchId: batchId,
                 summary: {
-                    total: rows.length,
+                    total: total,
                     valid: results.valid.length,
                     invalid: results.invalid.length,
                     duplicates: results.duplicates.length,
-                    inserted: insertedCount
+                    inserted: toInsert.length,
+                    replaced: toReplace.length,
+                    updated: results.updates.length,
+                    unchanged: results.unchanged.length
+                },
+                outcomes,
+                timing: {
+                    validateMs: validatedAt - startedAt,
+                    commitMs: finishedAt - validatedAt,
+                    totalMs: finishedAt - startedAt,
+                    chunks: insertChunks.length + replaceChunks.length
                 }
             });
         }
@@ -757,22 +1220,19 @@ export async function handleUndoEventsBulkImport(env, batchId, corsResponse) {
             }, 404);
         }
         
-        // Delete events from this batch
-        const result = await env.DB.prepare(`
-            DELETE FROM events WHERE import_batch_id = ?
-        `).bind(batchId).run();
-        
-        // Update batch status
-        await env.DB.prepare(`
-            UPDATE events_import_batches 
-            SET status = 'undone' 
-            WHERE id = ?
-        `).bind(batchId).run();
+        const undone = await undoImportBatch(env.DB, 'events', batchId);
+        if (undone.blockingBatches) {
+            return corsResponse({
+                error: 'A later import replaced events from this batch. Undo it first.',
+                blockingBatches: undone.blockingBatches
+            }, 409);
+        }
         
         return corsResponse({
             success: true,
-            message: `Removed ${result.changes} events from batch ${batchId}`,
-            deletedCount: result.changes,
+            message: `Removed ${undone.deletedCount} events and restored ${undone.restoredCount} from batch ${batchId}`,
+            deletedCount: undone.deletedCount,
+            restoredCount: undone.restoredCount,
             batch: {
                 id: batch.id,
                 importedAt: batch.imported_at,
@@ -811,4 +1271,221 @@ export async function handleGetEventsImportHistory(env, corsResponse) {
             message: error.message
         }, 500);
     }
-}
\ No newline at end of file
+}
+// DAY SCHEDULE / DAY TYPE BULK IMPORT FUNCTIONS
+//
+// CSV columns: date, schedule (or type), optional school ('district' when
+// blank). Rows replace the value already set for that school and date; the
+// previous values go into a calendar batch so undo can put them back.
+
+const DAY_IMPORTS = {
+    day_schedules: {
+        column: 'schedule',
+        kind: 'day_schedules_import',
+        label: 'A/B days',
+        normalize: value => value.toUpperCase(),
+        validate: value => ['A', 'B'].includes(value) ? null : 'Schedule must be A or B'
+    },
+    day_types: {
+        column: 'type',
+        kind: 'day_types_import',
+        label: 'day types',
+        normalize: value => value.toUpperCase(),
+        // Against the day type definitions, read once per import
+        load: env => getDayTypeDefinitions(env),
+        validate: (value, definitions) => resolveDayType(definitions, value).error || null
+    }
+};
+
+// CSV text and mode from a JSON, multipart or raw CSV request body
+async function readCSVRequest(request) {
+    const contentType = request.headers.get('content-type') || '';
+
+    if (contentType.includes('multipart/form-data')) {
+        const formData = await request.formData();
+        const file = formData.get('file');
+        return { csvData: file ? await file.text() : '', mode: formData.get('mode') || 'preview' };
+    }
+    if (contentType.includes('application/json')) {
+        const body = await request.json();
+        return { csvData: body.csvData || body.csv || '', mode: body.mode || 'preview' };
+    }
+    return {
+        csvData: await request.text(),
+        mode: new URL(request.url).searchParams.get('mode') || 'preview'
+    };
+}
+
+async function handleBulkDayImport(request, env, corsResponse, importedBy, table) {
+    const config = DAY_IMPORTS[table];
+
+    try {
+        const { csvData, mode } = await readCSVRequest(request);
+
+        if (!csvData) {
+            return corsResponse({ error: 'No CSV data provided' }, 400);
+        }
+
+        if (!['preview', 'commit'].includes(mode)) {
+            return corsResponse({ error: 'mode must be preview or commit' }, 400);
+        }
+
+        const { headers, rows, rowLines, errors: parseErrors } = parseCSV(csvData);
+        if (parseErrors.length > 0) {
+            return csvParseErrorResponse(parseErrors, corsResponse);
+        }
+
+        const requiredHeaders = ['date', config.column];
+        const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
+
+        if (missingHeaders.length > 0) {
+            return corsResponse({
+                error: 'Missing required headers',
+                missingHeaders,
+                foundHeaders: headers,
+                requiredHeaders
+            }, 400);
+        }
+
+        const context = config.load ? await config.load(env) : null;
+        const schoolCodes = await getSchoolCodes(env);
+        const valid = [];
+        const errors = [];
+        const seen = new Map(); // "school|date" -> row number
+
+        rows.forEach((row, index) => {
+            const rowNum = rowLines[index]; // line the row starts on
+            const rowErrors = [];
+            const data = {
+                school: (row.school || 'district').toLowerCase(),
+                date: null,
+                value: config.normalize(row[config.column] || '')
+            };
+
+            if (data.school !== 'district' && !schoolCodes.includes(data.school)) {
+                rowErrors.push(schoolError(schoolCodes, true));
+            }
+
+            if (!row.date) {
+                rowErrors.push('Date is required');
+            } else {
+                try {
+                    data.date = formatDate(row.date);
+                } catch (error) {
+                    rowErrors.push('Invalid date format (use YYYY-MM-DD)');
+                }
+            }
+
+            if (!data.value) {
+                rowErrors.push(`${config.column} is required`);
+            } else {
+                const valueError = config.validate(data.value, context);
+                if (valueError) rowErrors.push(valueError);
+            }
+
+            const key = `${data.school}|${data.date}`;
+            if (rowErrors.length === 0 && seen.has(key)) {
+                rowErrors.push(`Same school and date as row ${seen.get(key)}`);
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push({ row: rowNum, data: { ...row }, errors: rowErrors });
+            } else {
+                seen.set(key, rowNum);
+                valid.push({ row: rowNum, data });
+            }
+        });
+
+        // One lookup for every existing row the import could overwrite
+        const existing = new Map();
+        if (valid.length > 0) {
+            const dates = valid.map(item => item.data.date).sort();
+            const result = await env.DB.prepare(`
+                SELECT school, date, ${config.column} AS value FROM ${table}
+                WHERE date >= ? AND date <= ?
+            `).bind(dates[0], dates[dates.length - 1]).all();
+            result.results.forEach(row => existing.set(`${row.school}|${row.date}`, row.value));
+        }
+
+        valid.forEach(item => {
+            const previous = existing.get(`${item.data.school}|${item.data.date}`) ?? null;
+            item.previous = previous;
+            item.status = previous === null ? 'new' : previous === item.data.value ? 'unchanged' : 'overwrite';
+        });
+
+        const conflicts = valid.filter(item => item.status === 'overwrite');
+        const summary = {
+            total: rows.length,
+            valid: valid.length,
+            errors: errors.length,
+            conflicts: conflicts.length,
+            unchanged: valid.filter(item => item.status === 'unchanged').length
+        };
+
+        if (mode === 'preview') {
+            return corsResponse({
+                mode: 'preview',
+                summary,
+                valid,
+                errors,
+                conflicts
+            });
+        }
+
+        const changes = valid
+            .filter(item => item.status !== 'unchanged')
+            .map(item => ({
+                target: table,
+                school: item.data.school,
+                date: item.data.date,
+                previous_value: item.previous,
+                new_value: item.data.value
+            }));
+
+        let batchId = null;
+        if (changes.length > 0) {
+            batchId = createBatchId('import');
+            const dates = changes.map(change => change.date).sort();
+            await commitCalendarBatch(env.DB, {
+                id: batchId,
+                kind: config.kind,
+                school: null,
+                createdBy: importedBy,
+                changes,
+                summary: {
+                    ...summary,
+                    schools: [...new Set(changes.map(change => change.school))],
+                    dateRange: { min: dates[0], max: dates[dates.length - 1] }
+                }
+            });
+        }
+
+        return corsResponse({
+            mode: 'commit',
+            batchId,
+            message: `Successfully imported ${changes.length} ${config.label}`,
+            summary,
+            imported: changes.length,
+            overwritten: conflicts.length,
+            errors
+        });
+
+    } catch (error) {
+        console.error(`Bulk ${table} import error:`, error);
+        return corsResponse({
+            error: 'Bulk import failed',
+            message: error.message
+        }, 500);
+    }
+}
+
+export function handleBulkDaySchedulesImport(request, env, corsResponse, importedBy) {
+    return handleBulkDayImport(request, env, corsResponse, importedBy, 'day_schedules');
+}
+
+export function handleBulkDayTypesImport(request, env, corsResponse, importedBy) {
+    return handleBulkDayImport(request, env, corsResponse, importedBy, 'day_types');
+}
+
+export const DAY_SCHEDULES_IMPORT_KIND = DAY_IMPORTS.day_schedules.kind;
+export const DAY_TYPES_IMPORT_KIND = DAY_IMPORTS.day_types.kind;
@@ -0,0 +1,208 @@
+// src/calendar-batches.js
+// Undoable batches of calendar changes (A/B rotation generation, snow-day
+// reflows, day schedule and day type CSV imports)
+//
+// A batch is a list of changes, each recording the value it replaced:
+//   day_schedules / day_types  (school, date): previous_value/new_value are the
+//                              schedule letter or day type; NULL means no row
+//   materials                  record_id: previous_value/new_value are the date
+// The changes, their log rows and the batch record are written in one D1
+// batch, and undo replays previous_value the same way.
+//
+// GET    /api/calendar-batches      batches from the last 7 days
+// DELETE /api/calendar-batches/:id  undo a batch
+
+const DAY_TABLE_COLUMNS = {
+    day_schedules: 'schedule',
+    day_types: 'type'
+};
+
+// Statement that sets one target to `value` (see the table above)
+function setValueStatement(db, change, value) {
+    if (change.target === 'materials') {
+        return db.prepare(`
+            UPDATE materials SET date = ?, updated_at = datetime('now') WHERE id = ?
+        `).bind(value, change.record_id);
+    }
+
+    const column = DAY_TABLE_COLUMNS[change.target];
+    if (value === null) {
+        return db.prepare(`DELETE FROM ${change.target} WHERE school = ? AND date = ?`)
+            .bind(change.school, change.date);
+    }
+    return db.prepare(`
+        INSERT OR REPLACE INTO ${change.target} (school, date, ${column}, updated_at)
+        VALUES (?, ?, ?, datetime('now'))
+    `).bind(change.school, change.date, value);
+}
+
+export function createBatchId(kind) {
+    return `${kind}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Apply `changes` ({ target, school, date, record_id?, previous_value, new_value })
+// and record them as one undoable batch
+export async function commitCalendarBatch(db, { id, kind, school, createdBy, changes, summary }) {
+    const statements = [];
+
+    changes.forEach(change => {
+        statements.push(
+            setValueStatement(db, change, change.new_value),
+            db.prepare(`
+                INSERT INTO calendar_batch_changes (batch_id, target, school, date, record_id, previous_value, new_value)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).bind(
+                id,
+                change.target,
+                change.school,
+                change.date,
+                change.record_id ?? null,
+                change.previous_value,
+                change.new_value
+            )
+        );
+    });
+
+    statements.push(
+        db.prepare(`
+            INSERT INTO calendar_batches (id, kind, school, created_by, change_count, status, summary)
+            VALUES (?, ?, ?, ?, ?, 'completed', ?)
+        `).bind(id, kind, school, createdBy, changes.length, JSON.stringify(summary))
+    );
+
+    await db.batch(statements);
+}
+
+// GET /api/calendar-batches - `kind` limits the list to one kind of batch
+export async function handleGetCalendarBatches(env, corsResponse, kind = null) {
+    try {
+        const result = await env.DB.prepare(`
+            SELECT * FROM calendar_batches
+            WHERE datetime(created_at) > datetime('now', '-7 days')
+            AND (? IS NULL OR kind = ?)
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT 20
+        `).bind(kind, kind).all();
+
+        return corsResponse({
+            batches: result.results.map(batch => ({
+                ...batch,
+                summary: batch.summary ? JSON.parse(batch.summary) : null
+            })),
+            count: result.results.length
+        });
+    } catch (error) {
+        console.error('Error fetching calendar batches:', error);
+        return corsResponse({
+            error: 'Failed to fetch calendar batches',
+            message: error.message
+        }, 500);
+    }
+}
+
+// DELETE /api/calendar-batches/:id - put back every value the batch replaced.
+// Refused while a later batch that touched the same rows is still in place,
+// since undoing out of order would silently discard that batch's changes, and
+// while any row no longer holds the value the batch gave it (a day edited by
+// hand since). `kind` restricts the undo to one kind of batch.
+export async function handleUndoCalendarBatch(env, batchId, corsResponse, kind = null) {
+    try {
+        const batch = await env.DB.prepare(`
+            SELECT * FROM calendar_batches
+            WHERE id = ?
+            AND (? IS NULL OR kind = ?)
+            AND datetime(created_at) > datetime('now', '-7 days')
+        `).bind(batchId, kind, kind).first();
+
+        if (!batch) {
+            return corsResponse({
+                error: 'Batch not found or too old to undo (>1 week)'
+            }, 404);
+        }
+
+        if (batch.status !== 'completed') {
+            return corsResponse({ error: `Batch has already been ${batch.status}` }, 409);
+        }
+
+        const blocking = await env.DB.prepare(`
+            SELECT DISTINCT later.batch_id
+            FROM calendar_batch_changes mine
+            JOIN calendar_batch_changes later
+                ON later.target = mine.target
+                AND later.id > mine.id
+                AND later.batch_id != mine.batch_id
+                AND (
+                    (mine.target = 'materials' AND later.record_id = mine.record_id)
+                    OR (mine.target != 'materials' AND later.school = mine.school AND later.date = mine.date)
+                )
+            JOIN calendar_batches b ON b.id = later.batch_id AND b.status = 'completed'
+            WHERE mine.batch_id = ?
+        `).bind(batchId).all();
+
+        if (blocking.results.length > 0) {
+            return corsResponse({
+                error: 'A later batch changed the same days. Undo it first.',
+                blockingBatches: blocking.results.map(row => row.batch_id)
+            }, 409);
+        }
+
+        // The batch's last change to each row, where the row now holds
+        // something else. A material deleted since has nothing to overwrite.
+        const edited = await env.DB.prepare(`
+            SELECT DISTINCT c.date
+            FROM calendar_batch_changes c
+            LEFT JOIN day_schedules s ON c.target = 'day_schedules' AND s.school = c.school AND s.date = c.date
+            LEFT JOIN day_types t ON c.target = 'day_types' AND t.school = c.school AND t.date = c.date
+            LEFT JOIN materials m ON c.target = 'materials' AND m.id = c.record_id
+            WHERE c.batch_id = ?
+            AND NOT EXISTS (
+                SELECT 1 FROM calendar_batch_changes n
+                WHERE n.batch_id = c.batch_id AND n.target = c.target AND n.id > c.id
+                AND (
+                    (c.target = 'materials' AND n.record_id = c.record_id)
+                    OR (c.target != 'materials' AND n.school = c.school AND n.date = c.date)
+                )
+            )
+            AND CASE c.target
+                WHEN 'day_schedules' THEN s.schedule IS NOT c.new_value
+                WHEN 'day_types' THEN t.type IS NOT c.new_value
+                ELSE m.id IS NOT NULL AND m.date IS NOT c.new_value
+            END
+            ORDER BY c.date
+        `).bind(batchId).all();
+
+        if (edited.results.length > 0) {
+            const dates = edited.results.map(row => row.date);
+            return corsResponse({
+                error: `Changed since this batch: ${dates.join(', ')}. Undoing it would overwrite those changes.`,
+                changedDates: dates
+            }, 409);
+        }
+
+        const changes = await env.DB.prepare(`
+            SELECT * FROM calendar_batch_changes WHERE batch_id = ? ORDER BY id DESC
+        `).bind(batchId).all();
+
+        await env.DB.batch([
+            ...changes.results.map(change => setValueStatement(env.DB, change, change.previous_value)),
+            env.DB.prepare("UPDATE calendar_batches SET status = 'undone' WHERE id = ?").bind(batchId)
+        ]);
+
+        return corsResponse({
+            success: true,
+            message: `Reverted ${changes.results.length} changes from batch ${batchId}`,
+            revertedCount: changes.results.length,
+            batch: {
+                id: batch.id,
+                kind: batch.kind,
+                createdAt: batch.created_at
+            }
+        });
+    } catch (error) {
+        console.error('Undo calendar batch error:', error);
+        return corsResponse({
+            error: 'Failed to undo batch',
+            message: error.message
+        }, 500);
+    }
+}
@@ -0,0 +1,315 @@
+// src/calendar.js
+// Consolidated read endpoints for the calendar UIs
+//
+// GET /api/calendar?school=wlhs&from=YYYY-MM-DD&to=YYYY-MM-DD
+//     Everything needed to draw a calendar window, one entry per date, and
+//     the departments the school's events use and the day type definitions.
+//     Material counts are of what students can see now; upcomingMaterialCounts
+//     are of materials still waiting for their publish_at.
+// GET /api/today?school=wlhs
+//     Home screen stats for today (Pacific time)
+
+import { allRowsOptions, buildListQuery } from './list-query.js';
+import { expandSeries, seriesEnd } from './recurrence.js';
+import { coveredDates } from './event-details.js';
+import { departmentsStatement } from './departments.js';
+import { dayTypeDefinitionsStatement, dayTypeInfo } from './day-types.js';
+import { getSchoolCodes, schoolError } from './schools.js';
+import { MATERIAL_UPCOMING, MATERIAL_VISIBLE, nowInPacific } from './material-schedule.js';
+
+export const DISTRICT_SCOPE = 'district';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_WINDOW_DAYS = 93;
+const DAY_SORT_KEY = [{ sql: 'date', value: row => row.date }, { sql: 'school', value: row => row.school }];
+
+export const EVENT_COLUMNS = `id, school, date, end_date, title, department, time, end_time, all_day, location,
+    description, recurrence, created_at, updated_at`;
+
+// Last day of an event, for range checks against multi-day events
+export const EVENT_END_DATE = 'COALESCE(end_date, date)';
+
+// SELECT parts for a day table (day_schedules / day_types). For a school's code
+// this is the table as that school sees it: its own rows, plus district rows
+// on dates where it has none. 'district' gives only district-wide rows and no
+// school gives every row.
+export function dayRowsQuery(table, valueColumn, school) {
+    const where = [];
+    const params = [];
+
+    if (school && school !== DISTRICT_SCOPE) {
+        where.push(`(school = ? OR (school = 'district' AND NOT EXISTS (
+            SELECT 1 FROM ${table} o WHERE o.school = ? AND o.date = d.date
+        )))`);
+        params.push(school, school);
+    } else if (school) {
+        where.push('school = ?');
+        params.push(school);
+    }
+
+    return { select: `SELECT date, ${valueColumn}, school FROM ${table} d`, where, params };
+}
+
+// Prepared statement for dayRowsQuery rows between two dates
+export function resolvedDayRowsStatement(env, table, valueColumn, school, from, to) {
+    const query = buildListQuery(
+        dayRowsQuery(table, valueColumn, school),
+        { ...allRowsOptions(DAY_SORT_KEY), from, to }
+    );
+    return env.DB.prepare(query.sql).bind(...query.params);
+}
+
+// One-off events overlapping from..to; recurring ones come from
+// getEventOccurrences
+function eventsStatement(env, school, from, to) {
+    return env.DB.prepare(`
+        SELECT ${EVENT_COLUMNS}
+        FROM events
+        WHERE school = ? AND ${EVENT_END_DATE} >= ? AND date <= ? AND recurrence IS NULL
+        ORDER BY date, COALESCE(time, ''), id
+    `).bind(school, from, to);
+}
+
+// Day type definitions and A/B letters as `school` sees them, keyed by date -
+// what recurrence rules are checked against
+export async function getDayMaps(env, school, from, to) {
+    const [dayTypeRows, scheduleRows, definitions] = await env.DB.batch([
+        resolvedDayRowsStatement(env, 'day_types', 'type', school, from, to),
+        resolvedDayRowsStatement(env, 'day_schedules', 'schedule', school, from, to),
+        dayTypeDefinitionsStatement(env)
+    ]);
+    return {
+        dayTypes: new Map(dayTypeRows.results.map(row => [row.date, dayTypeInfo(definitions.results, row.type)])),
+        schedules: new Map(scheduleRows.results.map(row => [row.date, row.schedule]))
+    };
+}
+
+// Occurrences of a school's recurring events overlapping `from`..`to` (either
+// may be null), optionally limited to some departments or to one series. One
+// batch reads the series and their exceptions, a second the day types and
+// A/B letters the rules depend on.
+export async function getEventOccurrences(env, school, { from = null, to = null, departments = [], eventId = null } = {}) {
+    const where = ['school = ?', 'recurrence IS NOT NULL'];
+    const params = [school];
+    if (eventId !== null) {
+        where.push('id = ?');
+        params.push(eventId);
+    }
+    if (to) {
+        where.push('date <= ?');
+        params.push(to);
+    }
+    if (from) {
+        // The last occurrence starts on `until` and lasts as long as the first
+        where.push(`(json_extract(recurrence, '$.until') IS NULL
+            OR date(json_extract(recurrence, '$.until'), '+' || CAST(julianday(${EVENT_END_DATE}) - julianday(date) AS INTEGER) || ' days') >= ?)`);
+        params.push(from);
+    }
+    if (departments.length > 0) {
+        where.push(`department IN (${departments.map(() => '?').join(', ')})`);
+        params.push(...departments);
+    }
+
+    const seriesWhere = where.join(' AND ');
+    const [series, exceptions] = await env.DB.batch([
+        env.DB.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE ${seriesWhere}`).bind(...params),
+        env.DB.prepare(`
+            SELECT * FROM event_exceptions
+            WHERE event_id IN (SELECT id FROM events WHERE ${seriesWhere})
+        `).bind(...params)
+    ]);
+    if (series.results.length === 0) return [];
+
+    const exceptionsByEvent = new Map();
+    exceptions.results.forEach(exception => {
+        const list = exceptionsByEvent.get(exception.event_id) || [];
+        list.push(exception);
+        exceptionsByEvent.set(exception.event_id, list);
+    });
+
+    // Day rows from the earliest series start through the last date any
+    // rule (or a moved occurrence) can reach
+    const start = series.results.reduce((min, event) => (event.date < min ? event.date : min), series.results[0].date);
+    let end = to || series.results.reduce((max, event) => (seriesEnd(event) > max ? seriesEnd(event) : max), start);
+    exceptions.results.forEach(exception => {
+        if (exception.occurrence_date > end) end = exception.occurrence_date;
+    });
+
+    const { dayTypes, schedules } = await getDayMaps(env, school, start, end);
+
+    return series.results
+        .flatMap(event => expandSeries(event, {
+            from,
+            to,
+            dayTypes,
+            schedules,
+            exceptions: exceptionsByEvent.get(event.id) || []
+        }))
+        .filter(occurrence => departments.length === 0 || departments.includes(occurrence.department));
+}
+
+// Order a day's events the way eventsStatement does
+function compareEvents(a, b) {
+    const timeA = a.time ?? '';
+    const timeB = b.time ?? '';
+    if (timeA !== timeB) return timeA < timeB ? -1 : 1;
+    return a.id - b.id;
+}
+
+// Per date and grade, how many materials are visible and how many are
+// still to be published
+function materialCountsStatement(env, school, from, to) {
+    const now = nowInPacific();
+    return env.DB.prepare(`
+        SELECT date, grade_level,
+            SUM(CASE WHEN ${MATERIAL_VISIBLE} THEN 1 ELSE 0 END) AS count,
+            SUM(CASE WHEN ${MATERIAL_UPCOMING} THEN 1 ELSE 0 END) AS upcoming
+        FROM materials
+        WHERE school = ? AND date >= ? AND date <= ?
+        GROUP BY date, grade_level
+    `).bind(now, now, now, school, from, to);
+}
+
+// Every YYYY-MM-DD date from `from` to `to`, inclusive
+export function datesBetween(from, to) {
+    const dates = [];
+    const current = new Date(from + 'T00:00:00Z');
+    const end = new Date(to + 'T00:00:00Z');
+    while (current <= end) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+// Today's date in the district's time zone
+function todayInPacific() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+}
+
+// GET /api/calendar
+export async function handleGetCalendar(env, url, corsResponse) {
+    try {
+        const school = url.searchParams.get('school');
+        const from = url.searchParams.get('from');
+        const to = url.searchParams.get('to');
+
+        const codes = await getSchoolCodes(env);
+        if (!codes.includes(school)) {
+            return corsResponse({ error: schoolError(codes) }, 400);
+        }
+
+        if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+            return corsResponse({ error: 'from and to are required dates in YYYY-MM-DD format' }, 400);
+        }
+
+        const dates = datesBetween(from, to);
+        if (dates.length === 0 || dates.length > MAX_WINDOW_DAYS) {
+            return corsResponse({ error: `from must be on or before to, and the window at most ${MAX_WINDOW_DAYS} days` }, 400);
+        }
+
+        const [events, schedules, dayTypes, materialCounts, departments, dayTypeDefinitions] = await env.DB.batch([
+            eventsStatement(env, school, from, to),
+            resolvedDayRowsStatement(env, 'day_schedules', 'schedule', school, from, to),
+            resolvedDayRowsStatement(env, 'day_types', 'type', school, from, to),
+            materialCountsStatement(env, school, from, to),
+            departmentsStatement(env, school),
+            dayTypeDefinitionsStatement(env)
+        ]);
+        const occurrences = await getEventOccurrences(env, school, { from, to });
+
+        const days = {};
+        dates.forEach(date => {
+            days[date] = {
+                date,
+                schedule: null,
+                dayType: null,
+                events: [],
+                materialCounts: {},
+                materialCount: 0,
+                upcomingMaterialCounts: {}
+            };
+        });
+
+        schedules.results.forEach(row => {
+            days[row.date].schedule = { schedule: row.schedule, school: row.school };
+        });
+        dayTypes.results.forEach(row => {
+            days[row.date].dayType = { type: row.type, school: row.school };
+        });
+        // A multi-day event is listed on every day it covers
+        [...events.results, ...occurrences].forEach(event => {
+            coveredDates(event, from, to).forEach(date => days[date].events.push(event));
+        });
+        Object.values(days).forEach(day => day.events.sort(compareEvents));
+        materialCounts.results.forEach(row => {
+            if (row.count > 0) days[row.date].materialCounts[row.grade_level] = row.count;
+            if (row.upcoming > 0) days[row.date].upcomingMaterialCounts[row.grade_level] = row.upcoming;
+            days[row.date].materialCount += row.count;
+        });
+
+        return corsResponse({
+            school,
+            from,
+            to,
+            days,
+            departments: departments.results,
+            dayTypeDefinitions: dayTypeDefinitions.results
+        });
+    } catch (error) {
+        console.error('Error fetching calendar window:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// GET /api/today - ?school= limits the stats to one school, ?date= overrides today
+export async function handleGetToday(env, url, corsResponse) {
+    try {
+        const schoolParam = url.searchParams.get('school');
+        const date = url.searchParams.get('date') || todayInPacific();
+
+        const codes = await getSchoolCodes(env);
+        if (schoolParam && !codes.includes(schoolParam)) {
+            return corsResponse({ error: schoolError(codes) }, 400);
+        }
+
+        if (!DATE_PATTERN.test(date)) {
+            return corsResponse({ error: 'date must be in YYYY-MM-DD format' }, 400);
+        }
+
+        const schools = schoolParam ? [schoolParam] : codes;
+
+        const statements = schools.flatMap(school => [
+            resolvedDayRowsStatement(env, 'day_schedules', 'schedule', school, date, date),
+            resolvedDayRowsStatement(env, 'day_types', 'type', school, date, date),
+            eventsStatement(env, school, date, date),
+            materialCountsStatement(env, school, date, date)
+        ]);
+        const [definitions, ...results] = await env.DB.batch([dayTypeDefinitionsStatement(env), ...statements]);
+        const occurrences = await Promise.all(schools.map(school => getEventOccurrences(env, school, { from: date, to: date })));
+
+        const stats = {};
+        schools.forEach((school, index) => {
+            const [schedules, dayTypes, oneOffEvents, materialCounts] = results.slice(index * 4, index * 4 + 4);
+            const schedule = schedules.results[0];
+            const dayType = dayTypes.results[0] ? dayTypeInfo(definitions.results, dayTypes.results[0].type) : null;
+            const events = [...oneOffEvents.results, ...occurrences[index]].sort(compareEvents);
+
+            stats[school] = {
+                schedule: schedule ? schedule.schedule : null,
+                dayType: dayType ? dayType.type : null,
+                dayTypeLabel: dayType ? dayType.label : null,
+                studentsAttend: dayType ? Boolean(dayType.students_attend) : true,
+                eventCount: events.length,
+                events: events.map(({ id, title, department, time, end_time, all_day, location }) =>
+                    ({ id, title, department, time, end_time, all_day, location })),
+                materialCount: materialCounts.results.reduce((sum, row) => sum + row.count, 0)
+            };
+        });
+
+        return corsResponse({ date, schools: stats });
+    } catch (error) {
+        console.error('Error fetching today stats:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
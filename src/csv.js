@@ -0,0 +1,216 @@
+// src/csv.js
+// RFC 4180 CSV parsing for the bulk imports, and writing for the exports
+//
+// A single-pass state machine, so quoted fields may contain delimiters,
+// newlines and "" escaped quotes. Handles CRLF/LF/CR line endings and a
+// leading UTF-8 BOM, and reads tab-separated text (what a copy from Google
+// Sheets gives you) when the header line has more tabs than commas.
+// Problems are reported with the 1-based line and column they start at.
+
+const BOM = '\uFEFF';
+
+// Tabs vs commas outside quotes on the first line
+export function detectDelimiter(text) {
+    let tabs = 0;
+    let commas = 0;
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char === '\t') {
+            tabs++;
+        } else if (!inQuotes && char === ',') {
+            commas++;
+        }
+    }
+
+    return tabs > commas ? '\t' : ',';
+}
+
+// Incremental parser: write() text in any size of chunk, then end().
+// onRecord receives { fields, columns, line } for every record, blank lines
+// included; columns[i] is where fields[i] starts.
+export function createCSVParser({ delimiter = ',', onRecord }) {
+    const errors = [];
+
+    let field = '';
+    let fields = [];
+    let columns = [];
+    let state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteInQuoted | afterQuoted
+    let line = 1;
+    let column = 0;
+    let recordLine = 1;
+    let quoteLine = 0;
+    let quoteColumn = 0;
+    let pendingCR = false;
+
+    function error(message, atLine = line, atColumn = column) {
+        errors.push({ line: atLine, column: atColumn, message });
+    }
+
+    function endField() {
+        if (columns.length === fields.length) columns.push(column); // empty field
+        fields.push(field);
+        field = '';
+        state = 'fieldStart';
+    }
+
+    function endRecord() {
+        endField();
+        onRecord({ fields, columns, line: recordLine });
+        fields = [];
+        columns = [];
+    }
+
+    function newline() {
+        line++;
+        column = 0;
+    }
+
+    function consume(char) {
+        column++;
+
+        switch (state) {
+            case 'quoted':
+                if (char === '"') {
+                    state = 'quoteInQuoted';
+                } else {
+                    field += char;
+                    if (char === '\n') newline();
+                }
+                return;
+
+            case 'quoteInQuoted':
+                if (char === '"') {
+                    field += '"'; // "" is an escaped quote
+                    state = 'quoted';
+                    return;
+                }
+                state = 'afterQuoted';
+                break; // the closing quote is done; handle char below
+
+            case 'fieldStart':
+                columns.push(column);
+                if (char === '"') {
+                    state = 'quoted';
+                    quoteLine = line;
+                    quoteColumn = column;
+                    return;
+                }
+                state = 'unquoted';
+                break;
+        }
+
+        if (char === delimiter) {
+            endField();
+        } else if (char === '\n') {
+            endRecord();
+            newline();
+            recordLine = line;
+        } else if (state === 'afterQuoted') {
+            error(`Unexpected "${char}" after closing quote`);
+            field += char;
+            state = 'unquoted';
+        } else {
+            if (char === '"') {
+                error('Quote inside an unquoted field (wrap the field in quotes and double the quote)');
+            }
+            field += char;
+        }
+    }
+
+    function write(chunk) {
+        for (let char of chunk) {
+            // CRLF and lone CR both end a line; a CR split from its LF
+            // across chunks is remembered in pendingCR
+            if (pendingCR) {
+                pendingCR = false;
+                if (char === '\n') continue;
+            }
+            if (char === '\r') {
+                pendingCR = true;
+                char = '\n';
+            }
+            consume(char);
+        }
+    }
+
+    function end() {
+        if (state === 'quoted') {
+            error('Unterminated quoted field', quoteLine, quoteColumn);
+        }
+        // A final line without a newline is still a record
+        if (state !== 'fieldStart' || fields.length > 0 || field !== '') {
+            endRecord();
+        }
+        return { errors };
+    }
+
+    return { write, end };
+}
+
+// Parse a whole CSV/TSV document. Headers are trimmed and lowercased, and
+// each row is an object keyed by header with trimmed values. rowLines[i] is
+// the line rows[i] starts on, for error messages.
+export function parseCSV(text, { maxErrors = 20 } = {}) {
+    const source = text.startsWith(BOM) ? text.slice(BOM.length) : text;
+    const delimiter = detectDelimiter(source);
+
+    const records = [];
+    const parser = createCSVParser({
+        delimiter,
+        onRecord: record => {
+            // Skip blank lines, including rows of empty cells from spreadsheets
+            if (record.fields.every(value => value.trim() === '')) return;
+            records.push(record);
+        }
+    });
+    parser.write(source);
+    const { errors } = parser.end();
+
+    if (records.length === 0) {
+        return { headers: [], rows: [], rowLines: [], delimiter, errors };
+    }
+
+    const headers = records[0].fields.map(header => header.trim().toLowerCase());
+    const rows = [];
+    const rowLines = [];
+
+    records.slice(1).forEach(record => {
+        const extra = record.fields.findIndex((value, index) => index >= headers.length && value.trim() !== '');
+        if (extra !== -1) {
+            errors.push({
+                line: record.line,
+                column: record.columns[extra],
+                message: `Row has ${record.fields.length} fields but the header has ${headers.length}`
+            });
+        }
+
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = (record.fields[index] || '').trim();
+        });
+        rows.push(row);
+        rowLines.push(record.line);
+    });
+
+    errors.sort((a, b) => a.line - b.line || (a.column || 0) - (b.column || 0));
+    return { headers, rows, rowLines, delimiter, errors: errors.slice(0, maxErrors) };
+}
+
+// Quote a field only when it holds the delimiter, a quote or a line break
+function formatField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write rows (objects) as CSV with the given columns, CRLF line endings and a
+// header line - the format parseCSV reads back
+export function formatCSV(columns, rows, { delimiter = ',' } = {}) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(fields => fields.map(field => formatField(field, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,236 @@
+// src/day-types.js
+// Day type definitions: what each day type means and how it looks
+//
+// GET    /api/day-type-definitions
+// POST   /api/day-type-definitions       { type, label?, color, icon?, flags, sort_order? }
+// PUT    /api/day-type-definitions/:id   any of the same but `type`
+// DELETE /api/day-type-definitions/:id
+//
+// day_types rows hold a definition's `type` (e.g. "SNOW DAY"); the definition
+// gives the label, color and icon the calendars show it with, and flags that
+// other features go by instead of matching the type's name:
+//   is_instructional  a school day for the A/B rotation and snow-day reflow
+//   students_attend   students are in the building
+//   staff_attend      staff are at work; recurring events skip days that
+//                     neither students nor staff attend
+//   is_early_release  students leave early
+// A type can't be renamed (day_types rows and import files use it) and one
+// still set on any date can't be deleted.
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_TYPE_LENGTH = 30;
+const MAX_ICON_LENGTH = 8;
+
+export const DAY_TYPE_FLAGS = ['is_instructional', 'students_attend', 'staff_attend', 'is_early_release'];
+
+export const DAY_TYPE_DEFINITION_COLUMNS = `id, type, label, color, icon, is_instructional, students_attend,
+    staff_attend, is_early_release, sort_order, created_at, updated_at`;
+
+export function dayTypeDefinitionsStatement(env) {
+    return env.DB.prepare(`SELECT ${DAY_TYPE_DEFINITION_COLUMNS} FROM day_type_definitions ORDER BY sort_order, type`);
+}
+
+export async function getDayTypeDefinitions(env) {
+    return (await dayTypeDefinitionsStatement(env).all()).results;
+}
+
+// The definition of `type`, or for a type with none (set before definitions
+// existed) an ordinary school day under its own name. null for no type.
+export function dayTypeInfo(definitions, type) {
+    if (!type) return null;
+    const name = String(type).trim().toUpperCase();
+    return definitions.find(definition => definition.type === name) || {
+        type: name,
+        label: name,
+        color: '#6b7280',
+        icon: null,
+        is_instructional: 1,
+        students_attend: 1,
+        staff_attend: 1,
+        is_early_release: 0
+    };
+}
+
+// Match a day type from a request or CSV row, in any case, against the
+// definitions. Returns { type } - as stored - or { error }.
+export function resolveDayType(definitions, type) {
+    const name = String(type || '').trim().toUpperCase();
+    if (definitions.some(definition => definition.type === name)) return { type: name };
+    return { error: `Day type must be one of ${definitions.map(definition => definition.type).join(', ')}` };
+}
+
+// true/false or 1/0
+function parseFlag(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === 1 || value === 0) return value;
+    if (value === '1' || value === '0') return Number(value);
+    return null;
+}
+
+// Definition fields from a request body, falling back to `current` for any
+// left out. Returns { fields } or { error }.
+function parseDefinitionFields(body, current = {}) {
+    const fields = {};
+
+    fields.label = body.label === undefined ? current.label : String(body.label || '').trim();
+    if (fields.label !== undefined && fields.label.length > MAX_TYPE_LENGTH) {
+        return { error: `label must be at most ${MAX_TYPE_LENGTH} characters` };
+    }
+
+    fields.color = body.color === undefined ? current.color : String(body.color || '').trim().toLowerCase();
+    if (!COLOR_PATTERN.test(fields.color || '')) {
+        return { error: 'Color must be a hex color such as #3b82f6' };
+    }
+
+    fields.icon = body.icon === undefined ? current.icon ?? null : String(body.icon || '').trim() || null;
+    if (fields.icon && [...fields.icon].length > MAX_ICON_LENGTH) {
+        return { error: `icon must be at most ${MAX_ICON_LENGTH} characters` };
+    }
+
+    for (const flag of DAY_TYPE_FLAGS) {
+        if (body[flag] === undefined) {
+            fields[flag] = current[flag] ?? (flag === 'is_early_release' ? 0 : 1);
+            continue;
+        }
+        fields[flag] = parseFlag(body[flag]);
+        if (fields[flag] === null) {
+            return { error: `${flag} must be true or false` };
+        }
+    }
+    if (fields.is_instructional && !fields.students_attend) {
+        return { error: 'An instructional day needs students_attend' };
+    }
+    if (fields.is_early_release && !fields.students_attend) {
+        return { error: 'An early release day needs students_attend' };
+    }
+
+    fields.sort_order = current.sort_order ?? null;
+    if (body.sort_order !== undefined && body.sort_order !== null && body.sort_order !== '') {
+        fields.sort_order = Number(body.sort_order);
+        if (!Number.isInteger(fields.sort_order)) {
+            return { error: 'sort_order must be a whole number' };
+        }
+    }
+
+    return { fields };
+}
+
+// GET /api/day-type-definitions
+export async function handleGetDayTypeDefinitions(env, corsResponse) {
+    try {
+        return corsResponse(await getDayTypeDefinitions(env));
+    } catch (error) {
+        console.error('Error fetching day type definitions:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// POST /api/day-type-definitions - the label defaults to the type, and a new
+// definition goes last unless given a sort_order
+export async function handlePostDayTypeDefinition(request, env, corsResponse) {
+    try {
+        const body = await request.json();
+
+        const type = String(body.type || '').trim().toUpperCase();
+        if (!type) {
+            return corsResponse({ error: 'Type is required' }, 400);
+        }
+        if (type.length > MAX_TYPE_LENGTH) {
+            return corsResponse({ error: `Type must be at most ${MAX_TYPE_LENGTH} characters` }, 400);
+        }
+
+        const { fields, error } = parseDefinitionFields(body);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const existing = await env.DB.prepare('SELECT id FROM day_type_definitions WHERE type = ?').bind(type).first();
+        if (existing) {
+            return corsResponse({ error: `There is already a ${type} day type` }, 409);
+        }
+
+        const definition = await env.DB.prepare(`
+            INSERT INTO day_type_definitions (
+                type, label, color, icon, is_instructional, students_attend, staff_attend, is_early_release, sort_order
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM day_type_definitions)))
+            RETURNING ${DAY_TYPE_DEFINITION_COLUMNS}
+        `).bind(
+            type, fields.label || type, fields.color, fields.icon, fields.is_instructional, fields.students_attend,
+            fields.staff_attend, fields.is_early_release, fields.sort_order
+        ).first();
+
+        return corsResponse(definition);
+    } catch (error) {
+        console.error('Error creating day type definition:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// PUT /api/day-type-definitions/:id
+export async function handlePutDayTypeDefinition(request, env, definitionId, corsResponse) {
+    try {
+        const body = await request.json();
+
+        const definition = await env.DB.prepare(
+            `SELECT ${DAY_TYPE_DEFINITION_COLUMNS} FROM day_type_definitions WHERE id = ?`
+        ).bind(definitionId).first();
+        if (!definition) {
+            return corsResponse({ error: 'Day type not found' }, 404);
+        }
+
+        if (body.type !== undefined && String(body.type).trim().toUpperCase() !== definition.type) {
+            return corsResponse({ error: "A day type can't be renamed; change its label instead" }, 400);
+        }
+
+        const { fields, error } = parseDefinitionFields(body, definition);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const updated = await env.DB.prepare(`
+            UPDATE day_type_definitions
+            SET label = ?, color = ?, icon = ?, is_instructional = ?, students_attend = ?, staff_attend = ?,
+                is_early_release = ?, sort_order = ?, updated_at = datetime('now')
+            WHERE id = ?
+            RETURNING ${DAY_TYPE_DEFINITION_COLUMNS}
+        `).bind(
+            fields.label || definition.type, fields.color, fields.icon, fields.is_instructional, fields.students_attend,
+            fields.staff_attend, fields.is_early_release, fields.sort_order, definition.id
+        ).first();
+
+        return corsResponse(updated);
+    } catch (error) {
+        console.error('Error updating day type definition:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// DELETE /api/day-type-definitions/:id - refused while any date has the type
+export async function handleDeleteDayTypeDefinition(env, definitionId, corsResponse) {
+    try {
+        const definition = await env.DB.prepare(
+            `SELECT ${DAY_TYPE_DEFINITION_COLUMNS} FROM day_type_definitions WHERE id = ?`
+        ).bind(definitionId).first();
+        if (!definition) {
+            return corsResponse({ error: 'Day type not found' }, 404);
+        }
+
+        const usage = await env.DB.prepare('SELECT COUNT(*) AS count FROM day_types WHERE type = ?')
+            .bind(definition.type).first();
+        if (usage.count > 0) {
+            return corsResponse({
+                error: usage.count === 1
+                    ? `1 date is still set to ${definition.type}; change it first`
+                    : `${usage.count} dates are still set to ${definition.type}; change them first`,
+                count: usage.count
+            }, 409);
+        }
+
+        await env.DB.prepare('DELETE FROM day_type_definitions WHERE id = ?').bind(definition.id).run();
+        return corsResponse({ success: true, id: definition.id });
+    } catch (error) {
+        console.error('Error deleting day type definition:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
@@ -0,0 +1,247 @@
+// src/departments.js
+// Event departments, district-wide or for one school
+//
+// GET    /api/departments?school=wlhs   the departments a school's events can
+//                                       use (its own and the district-wide
+//                                       ones) in display order; without
+//                                       `school`, every department
+// POST   /api/departments               { name, color, school?, sort_order? }
+// PUT    /api/departments/:id           { name?, color?, sort_order? }
+// DELETE /api/departments/:id
+//
+// Events store the department's name. Renaming a department renames it on
+// its events and their exceptions, and one that events still use can't be
+// deleted. No two departments a school sees may share a name.
+
+import { DISTRICT_SCOPE } from './calendar.js';
+import { getSchoolCodes, schoolError } from './schools.js';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_NAME_LENGTH = 40;
+
+export const DEPARTMENT_COLUMNS = 'id, school, name, color, sort_order, created_at, updated_at';
+
+// Departments `school` sees ('district': only the district-wide ones), or
+// every department without one
+export function departmentsStatement(env, school) {
+    if (!school) {
+        return env.DB.prepare(`SELECT ${DEPARTMENT_COLUMNS} FROM departments ORDER BY sort_order, name`);
+    }
+    return env.DB.prepare(`
+        SELECT ${DEPARTMENT_COLUMNS} FROM departments
+        WHERE school = 'district' OR school = ?
+        ORDER BY sort_order, name
+    `).bind(school);
+}
+
+export async function getDepartments(env, school) {
+    return (await departmentsStatement(env, school).all()).results;
+}
+
+// The ones of `departments` (e.g. every department) a school's events can use
+export function departmentsFor(departments, school) {
+    return departments.filter(department => department.school === DISTRICT_SCOPE || department.school === school);
+}
+
+// Match a department name from a request or CSV row, in any case, against
+// the departments a school can use. Returns { department } - the name as
+// stored, or null for none - or { error }.
+export function resolveDepartment(departments, name) {
+    const text = name === undefined || name === null ? '' : String(name).trim();
+    if (text === '') return { department: null };
+
+    const match = departments.find(department => department.name.toLowerCase() === text.toLowerCase());
+    if (match) return { department: match.name };
+
+    return {
+        error: departments.length > 0
+            ? `Department must be one of ${departments.map(department => department.name).join(', ')}`
+            : 'No departments are set up for this school'
+    };
+}
+
+// name, color and sort_order from a request body, falling back to
+// `current` for any left out. Returns { fields } or { error }.
+function parseDepartmentFields(body, current = {}) {
+    const name = body.name === undefined ? current.name : String(body.name || '').trim();
+    if (!name) {
+        return { error: 'Name is required' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+
+    const color = body.color === undefined ? current.color : String(body.color || '').trim();
+    if (!COLOR_PATTERN.test(color || '')) {
+        return { error: 'Color must be a hex color such as #3b82f6' };
+    }
+
+    let sortOrder = current.sort_order ?? null;
+    if (body.sort_order !== undefined && body.sort_order !== null && body.sort_order !== '') {
+        sortOrder = Number(body.sort_order);
+        if (!Number.isInteger(sortOrder)) {
+            return { error: 'sort_order must be a whole number' };
+        }
+    }
+
+    return { fields: { name, color: color.toLowerCase(), sort_order: sortOrder } };
+}
+
+// A department with the same name that some school would see alongside
+// one named `name` at `school`
+function findNameConflict(env, name, school, exceptId = 0) {
+    return env.DB.prepare(`
+        SELECT id, school, name FROM departments
+        WHERE lower(name) = lower(?) AND id != ?
+            AND (? = 'district' OR school = 'district' OR school = ?)
+    `).bind(name, exceptId, school, school).first();
+}
+
+function conflictError(conflict) {
+    return `There is already a ${conflict.school === DISTRICT_SCOPE ? 'district-wide' : conflict.school.toUpperCase()} department named ${conflict.name}`;
+}
+
+// GET /api/departments
+export async function handleGetDepartments(env, url, corsResponse) {
+    try {
+        const school = url.searchParams.get('school');
+        if (school && school !== DISTRICT_SCOPE) {
+            const codes = await getSchoolCodes(env);
+            if (!codes.includes(school)) {
+                return corsResponse({ error: schoolError(codes, true) }, 400);
+            }
+        }
+
+        return corsResponse(await getDepartments(env, school));
+    } catch (error) {
+        console.error('Error fetching departments:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// POST /api/departments - a new department goes last unless given a sort_order
+export async function handlePostDepartment(request, env, corsResponse) {
+    try {
+        const body = await request.json();
+
+        const school = body.school || DISTRICT_SCOPE;
+        if (school !== DISTRICT_SCOPE) {
+            const codes = await getSchoolCodes(env);
+            if (!codes.includes(school)) {
+                return corsResponse({ error: schoolError(codes, true) }, 400);
+            }
+        }
+
+        const { fields, error } = parseDepartmentFields(body);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const conflict = await findNameConflict(env, fields.name, school);
+        if (conflict) {
+            return corsResponse({ error: conflictError(conflict) }, 409);
+        }
+
+        const department = await env.DB.prepare(`
+            INSERT INTO departments (school, name, color, sort_order)
+            VALUES (?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM departments)))
+            RETURNING ${DEPARTMENT_COLUMNS}
+        `).bind(school, fields.name, fields.color, fields.sort_order).first();
+
+        return corsResponse(department);
+    } catch (error) {
+        console.error('Error creating department:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// PUT /api/departments/:id - a department's school can't change, since
+// events at the school it would leave may use it
+export async function handlePutDepartment(request, env, departmentId, corsResponse) {
+    try {
+        const body = await request.json();
+
+        const department = await env.DB.prepare(
+            `SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE id = ?`
+        ).bind(departmentId).first();
+        if (!department) {
+            return corsResponse({ error: 'Department not found' }, 404);
+        }
+
+        if (body.school !== undefined && body.school !== department.school) {
+            return corsResponse({ error: "A department's school can't be changed; add a new department instead" }, 400);
+        }
+
+        const { fields, error } = parseDepartmentFields(body, department);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const conflict = await findNameConflict(env, fields.name, department.school, department.id);
+        if (conflict) {
+            return corsResponse({ error: conflictError(conflict) }, 409);
+        }
+
+        const statements = [env.DB.prepare(`
+            UPDATE departments
+            SET name = ?, color = ?, sort_order = ?, updated_at = datetime('now')
+            WHERE id = ?
+            RETURNING ${DEPARTMENT_COLUMNS}
+        `).bind(fields.name, fields.color, fields.sort_order, department.id)];
+
+        // Events keep the name, so a rename carries over to them
+        if (fields.name !== department.name) {
+            statements.push(
+                env.DB.prepare(`
+                    UPDATE event_exceptions SET department = ?, updated_at = datetime('now')
+                    WHERE department = ? AND event_id IN (
+                        SELECT id FROM events WHERE ? = 'district' OR school = ?
+                    )
+                `).bind(fields.name, department.name, department.school, department.school),
+                env.DB.prepare(`
+                    UPDATE events SET department = ?, updated_at = datetime('now')
+                    WHERE department = ? AND (? = 'district' OR school = ?)
+                `).bind(fields.name, department.name, department.school, department.school)
+            );
+        }
+
+        const [updated] = await env.DB.batch(statements);
+        return corsResponse(updated.results[0]);
+    } catch (error) {
+        console.error('Error updating department:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// DELETE /api/departments/:id - refused while events (or edited
+// occurrences) use it
+export async function handleDeleteDepartment(env, departmentId, corsResponse) {
+    try {
+        const department = await env.DB.prepare(
+            `SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE id = ?`
+        ).bind(departmentId).first();
+        if (!department) {
+            return corsResponse({ error: 'Department not found' }, 404);
+        }
+
+        const usage = await env.DB.prepare(`
+            SELECT
+                (SELECT COUNT(*) FROM events
+                    WHERE department = ?1 AND (?2 = 'district' OR school = ?2))
+                + (SELECT COUNT(*) FROM event_exceptions x JOIN events e ON e.id = x.event_id
+                    WHERE x.department = ?1 AND (?2 = 'district' OR e.school = ?2)) AS count
+        `).bind(department.name, department.school).first();
+        if (usage.count > 0) {
+            return corsResponse({
+                error: `${usage.count === 1 ? '1 event still uses' : `${usage.count} events still use`} ${department.name}; move them to another department first`,
+                count: usage.count
+            }, 409);
+        }
+
+        await env.DB.prepare('DELETE FROM departments WHERE id = ?').bind(department.id).run();
+        return corsResponse({ success: true, id: department.id });
+    } catch (error) {
+        console.error('Error deleting department:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
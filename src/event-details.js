@@ -0,0 +1,102 @@
+// src/event-details.js
+// How long an event runs and where, on top of its start date and time
+//
+//   end_date   YYYY-MM-DD, the last day of a multi-day event (inclusive);
+//              a single-day event stores NULL
+//   end_time   when it finishes, in the same forms as `time` ("15:30",
+//              "3:30 PM"); on a multi-day event, the time on end_date
+//   all_day    1 for an all-day event, which has no time or end_time
+//   location   free text, e.g. "Main Gym"
+//
+// The events API and the events import both validate with parseEventDetails.
+
+import { parseEventTime } from './ics.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields parseEventDetails settles, in column order
+export const EVENT_DETAIL_FIELDS = ['time', 'end_date', 'end_time', 'all_day', 'location'];
+
+function isValidDate(dateStr) {
+    if (!DATE_PATTERN.test(dateStr)) return false;
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(dateStr);
+}
+
+// true/false, 1/0, or the text a spreadsheet cell holds; null if unreadable
+function parseFlag(value) {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'y', 'x'].includes(text)) return true;
+    if (['', '0', 'false', 'no', 'n'].includes(text)) return false;
+    return null;
+}
+
+function blankToNull(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+// Validate the timing and location of an event starting on `date`
+// (YYYY-MM-DD). Returns { details } with the EVENT_DETAIL_FIELDS as they are
+// stored, or { error }.
+export function parseEventDetails(date, { time, end_date, end_time, all_day, location }) {
+    const allDay = parseFlag(all_day);
+    if (allDay === null) {
+        return { error: 'all_day must be true or false' };
+    }
+
+    let endDate = blankToNull(end_date);
+    if (endDate !== null) {
+        if (!isValidDate(endDate)) {
+            return { error: 'end_date must be a date in YYYY-MM-DD format' };
+        }
+        if (endDate < date) {
+            return { error: 'end_date must be on or after the event date' };
+        }
+        if (endDate === date) endDate = null;
+    }
+
+    // An all-day event drops any times it was sent
+    const startTime = allDay ? null : blankToNull(time);
+    const endTime = allDay ? null : blankToNull(end_time);
+
+    if (endTime !== null) {
+        const end = parseEventTime(endTime);
+        if (!end) {
+            return { error: 'end_time must be a time such as 15:30 or 3:30 PM' };
+        }
+        const start = parseEventTime(startTime);
+        if (!start) {
+            return { error: 'An end_time needs a start time such as 14:00 or 2:00 PM' };
+        }
+        if (endDate === null && end.hours * 60 + end.minutes <= start.hours * 60 + start.minutes) {
+            return { error: 'end_time must be after the start time' };
+        }
+    }
+
+    return {
+        details: {
+            time: startTime,
+            end_date: endDate,
+            end_time: endTime,
+            all_day: allDay ? 1 : 0,
+            location: blankToNull(location)
+        }
+    };
+}
+
+// Every date a (possibly multi-day) event covers within [from, to]
+export function coveredDates(event, from, to) {
+    const dates = [];
+    const last = event.end_date || event.date;
+    const current = new Date((event.date > from ? event.date : from) + 'T00:00:00Z');
+    const end = new Date((last < to ? last : to) + 'T00:00:00Z');
+    while (current <= end) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return dates;
+}
@@ -0,0 +1,150 @@
+// src/export.js
+// CSV and JSON exports that round-trip with the bulk imports
+//
+// GET /api/events/export, /api/materials/export, /api/day-schedules/export,
+// /api/day-types/export
+//   format       csv (default) or json
+//   school       comma-separated; day schedules and day types also take 'district'
+//   from, to     YYYY-MM-DD, inclusive (a multi-day event that overlaps counts)
+//   grade_level  materials only, comma-separated (K for kindergarten)
+//   course       materials only, comma-separated
+//   department   events only, comma-separated
+//
+// CSV columns are exactly the ones the matching import reads. Materials and
+// events carry their id, so an export edited in a spreadsheet and imported
+// again updates those rows instead of adding copies. Material passwords are
+// stored hashed and export blank, which the import reads as "keep the
+// current password". A series exports as its one row with the rule as JSON in
+// `recurrence`; its edited and cancelled occurrences (event_exceptions) are
+// not exported, so they stay with an event the file updates by id but a
+// series imported as a new event starts without them. Day tables export each
+// scope's own rows, not the district values a school inherits.
+
+import { formatCSV } from './csv.js';
+import { buildListQuery, parseListOptions, parseListParam } from './list-query.js';
+import { DISTRICT_SCOPE, EVENT_END_DATE } from './calendar.js';
+import { getSchoolCodes } from './schools.js';
+
+const EXPORTS = {
+    events: {
+        columns: [
+            'id', 'school', 'date', 'title', 'department', 'time', 'description', 'end_date', 'end_time', 'all_day', 'location',
+            'recurrence'
+        ],
+        select: `SELECT id, school, date, title, department, time, description, end_date, end_time, all_day, location,
+            recurrence FROM events`,
+        endDateColumn: EVENT_END_DATE,
+        sortKey: [
+            { sql: 'date', value: row => row.date },
+            { sql: "COALESCE(time, '')", value: row => row.time ?? '' },
+            { sql: 'id', value: row => row.id }
+        ]
+    },
+    materials: {
+        columns: [
+            'id', 'school', 'date', 'grade_level', 'course', 'title', 'link', 'description', 'publish_at', 'expires_at', 'password'
+        ],
+        select: `SELECT id, school, date, grade_level, course, title, link, description, publish_at, expires_at,
+            '' AS password FROM materials`,
+        sortKey: [
+            { sql: 'date', value: row => row.date },
+            { sql: 'grade_level', value: row => row.grade_level },
+            { sql: 'id', value: row => row.id }
+        ]
+    },
+    'day-schedules': {
+        columns: ['date', 'schedule', 'school'],
+        select: 'SELECT date, schedule, school FROM day_schedules',
+        district: true,
+        sortKey: [
+            { sql: 'date', value: row => row.date },
+            { sql: 'school', value: row => row.school }
+        ]
+    },
+    'day-types': {
+        columns: ['date', 'type', 'school'],
+        select: 'SELECT date, type, school FROM day_types',
+        district: true,
+        sortKey: [
+            { sql: 'date', value: row => row.date },
+            { sql: 'school', value: row => row.school }
+        ]
+    }
+};
+
+// Optional "column IN (...)" filter from a comma-separated query parameter
+function addInFilter(where, params, column, values) {
+    if (values.length === 0) return;
+    where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+}
+
+// GET /api/:kind/export - `kind` is a key of EXPORTS
+export async function handleExport(env, url, kind, corsResponse) {
+    const config = EXPORTS[kind];
+
+    try {
+        const format = url.searchParams.get('format') || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return corsResponse({ error: 'format must be csv or json' }, 400);
+        }
+
+        const options = parseListOptions(url, { fields: [], sortKey: config.sortKey });
+        if (options.error) {
+            return corsResponse({ error: options.error }, 400);
+        }
+
+        const where = [];
+        const params = [];
+
+        const schools = parseListParam(url, 'school').map(school => school.toLowerCase());
+        // Day rows can also be district-wide
+        const allowed = [...(config.district ? [DISTRICT_SCOPE] : []), ...await getSchoolCodes(env)];
+        if (schools.some(school => !allowed.includes(school))) {
+            return corsResponse({ error: `School must be one of ${allowed.join(', ')}` }, 400);
+        }
+        addInFilter(where, params, 'school', schools);
+
+        if (kind === 'materials') {
+            const gradeLevels = parseListParam(url, 'grade_level')
+                .map(grade => (grade.toUpperCase() === 'K' ? 0 : Number(grade)));
+            if (gradeLevels.some(grade => !Number.isInteger(grade) || grade < 0 || grade > 12)) {
+                return corsResponse({ error: 'Grade level must be K or 1-12' }, 400);
+            }
+            addInFilter(where, params, 'grade_level', gradeLevels);
+            addInFilter(where, params, 'course', parseListParam(url, 'course'));
+        }
+
+        if (kind === 'events') {
+            addInFilter(where, params, 'department', parseListParam(url, 'department'));
+        }
+
+        // Every matching row, whatever limit/cursor were passed
+        const query = buildListQuery({ select: config.select, where, params, endDateColumn: config.endDateColumn }, {
+            ...options,
+            limit: null,
+            cursor: null
+        });
+        const result = await env.DB.prepare(query.sql).bind(...query.params).all();
+        const rows = result.results;
+
+        const filename = [kind, ...schools, options.from, options.to].filter(Boolean).join('-');
+        const headers = {
+            'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+            'Cache-Control': 'no-store'
+        };
+
+        if (format === 'json') {
+            return corsResponse(rows, 200, headers);
+        }
+
+        // A BOM so Excel opens UTF-8 text correctly; the import strips it
+        return corsResponse('\uFEFF' + formatCSV(config.columns, rows), 200, {
+            ...headers,
+            'Content-Type': 'text/csv; charset=utf-8'
+        });
+    } catch (error) {
+        console.error(`Error exporting ${kind}:`, error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
@@ -0,0 +1,681 @@
+// src/ics.js
+// iCalendar (RFC 5545) helpers for WLWV Calendar subscription feeds and
+// .ics event imports
+
+const CALENDAR_TIMEZONE = 'America/Los_Angeles';
+const UID_DOMAIN = 'wlwv-calendar';
+
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CALENDAR_TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0800',
+    'TZOFFSETTO:-0700',
+    'TZNAME:PDT',
+    'DTSTART:20070311T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0700',
+    'TZOFFSETTO:-0800',
+    'TZNAME:PST',
+    'DTSTART:20071104T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// "2025-09-15" -> "20250915"
+function toICSDate(dateStr) {
+    return dateStr.replace(/-/g, '');
+}
+
+function nextDay(dateStr) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().split('T')[0];
+}
+
+function toICSTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Parse the free-text event time ("19:00", "7:00 PM", "7 pm") into hours/minutes
+export function parseEventTime(time) {
+    if (!time) return null;
+
+    const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'p' && hours !== 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+    } else if (!match[2]) {
+        return null; // a bare number is too ambiguous to treat as a time
+    }
+
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+}
+
+// DTEND of an all-day entry is the day after it ends
+function allDayProperties(dateStr, endDateStr = dateStr) {
+    return [
+        `DTSTART;VALUE=DATE:${toICSDate(dateStr)}`,
+        `DTEND;VALUE=DATE:${toICSDate(nextDay(endDateStr))}`
+    ];
+}
+
+function toICSLocalTime(dateStr, time) {
+    const hh = String(time.hours).padStart(2, '0');
+    const mm = String(time.minutes).padStart(2, '0');
+    return `${toICSDate(dateStr)}T${hh}${mm}00`;
+}
+
+function eventToVEvent(event, school, dtstamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        // Occurrences of a recurring event share its id
+        `UID:event-${event.id}${event.occurrence_date ? `-${toICSDate(event.occurrence_date)}` : ''}@${UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`
+    ];
+
+    const endDate = event.end_date || event.date;
+    const time = event.all_day ? null : parseEventTime(event.time);
+    if (time) {
+        const endTime = parseEventTime(event.end_time);
+        lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${toICSLocalTime(event.date, time)}`);
+        if (endTime) {
+            lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${toICSLocalTime(endDate, endTime)}`);
+        } else if (endDate !== event.date) {
+            // No end time: through the end of the last day
+            lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${toICSDate(nextDay(endDate))}T000000`);
+        } else {
+            lines.push('DURATION:PT1H'); // only a start time
+        }
+    } else {
+        lines.push(...allDayProperties(event.date, endDate));
+        lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.department) {
+        lines.push(`CATEGORIES:${escapeText(event.department)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// `dayType` is a date plus its day type definition (see day-types.js); the
+// entry is titled with the label and says what the day means for students
+function dayTypeToVEvent(dayType, school, dtstamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:daytype-${school}-${toICSDate(dayType.date)}@${UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        ...allDayProperties(dayType.date),
+        `SUMMARY:${escapeText(dayType.label || dayType.type)}`
+    ];
+    if (!dayType.students_attend) {
+        lines.push(`DESCRIPTION:${escapeText(dayType.staff_attend ? 'No school for students' : 'No school')}`);
+    } else if (dayType.is_early_release) {
+        lines.push(`DESCRIPTION:${escapeText('Early release')}`);
+    }
+    lines.push('CATEGORIES:Day Type', 'TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+}
+
+function scheduleToVEvent(schedule, school, dtstamp) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:schedule-${school}-${toICSDate(schedule.date)}@${UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        ...allDayProperties(schedule.date),
+        `SUMMARY:${escapeText(`${schedule.schedule} Day`)}`,
+        'CATEGORIES:A/B Schedule',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+// Build a complete VCALENDAR document
+export function buildCalendarFeed({ school, calendarName, events = [], dayTypes = [], schedules = [] }) {
+    const dtstamp = toICSTimestamp(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//WLWV District//Life Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H',
+        ...VTIMEZONE
+    ];
+
+    events.forEach(event => lines.push(...eventToVEvent(event, school, dtstamp)));
+    dayTypes.forEach(dayType => lines.push(...dayTypeToVEvent(dayType, school, dtstamp)));
+    schedules.forEach(schedule => lines.push(...scheduleToVEvent(schedule, school, dtstamp)));
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ---- Reading .ics files for the events bulk import ----
+
+// Recurring events stop after this many occurrences, and a rule with neither
+// COUNT nor UNTIL stops a year after it starts
+const MAX_OCCURRENCES = 500;
+const OPEN_ENDED_DAYS = 366;
+
+// Windows zone names that Outlook and Exchange put in TZID
+const WINDOWS_TIMEZONES = {
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Central Standard Time': 'America/Chicago',
+    'Eastern Standard Time': 'America/New_York',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'UTC': 'UTC'
+};
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Undo escapeText
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Unfold continuation lines; each content line keeps the line it starts on
+function unfoldLines(text) {
+    const lines = [];
+    text.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/).forEach((raw, index) => {
+        if ((raw.startsWith(' ') || raw.startsWith('\t')) && lines.length > 0) {
+            lines[lines.length - 1].text += raw.slice(1);
+        } else if (raw.trim() !== '') {
+            lines.push({ text: raw, line: index + 1 });
+        }
+    });
+    return lines;
+}
+
+// "DTSTART;TZID=America/Los_Angeles:20250915T190000" -> { name, params, value }
+function parseContentLine(text) {
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') inQuotes = !inQuotes;
+        if (char !== ':' || inQuotes) continue;
+
+        const [name, ...rawParams] = text.slice(0, i).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        const params = {};
+        rawParams.forEach(param => {
+            const eq = param.indexOf('=');
+            if (eq === -1) return;
+            params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"(.*)"$/, '$1');
+        });
+        return { name: name.toUpperCase(), params, value: text.slice(i + 1) };
+    }
+    return null;
+}
+
+function isTimeZone(zone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// TZID -> IANA zone name, or null if we can't tell what it means. Besides
+// IANA names this covers Windows names and prefixed ids such as
+// "/mozilla.org/20050126_1/America/Los_Angeles".
+function resolveTimeZone(tzid) {
+    if (WINDOWS_TIMEZONES[tzid]) return WINDOWS_TIMEZONES[tzid];
+    if (isTimeZone(tzid)) return tzid;
+
+    const suffix = tzid.match(/([A-Za-z_]+\/[A-Za-z_\-]+(?:\/[A-Za-z_\-]+)?)$/);
+    return suffix && isTimeZone(suffix[1]) ? suffix[1] : null;
+}
+
+// Wall-clock date and time of an instant in `zone`
+function wallClock(instant, zone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(instant)).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hours: parseInt(parts.hour),
+        minutes: parseInt(parts.minute),
+        seconds: parseInt(parts.second)
+    };
+}
+
+function wallClockUTC({ date, hours, minutes, seconds = 0 }) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+// Instant of a wall-clock time in `zone`. The zone's offset is looked up
+// twice so times next to a DST change land on the right side of it.
+function toInstant(wall, zone) {
+    const asUTC = wallClockUTC(wall);
+    if (zone === 'UTC') return asUTC;
+
+    let instant = asUTC;
+    for (let i = 0; i < 2; i++) {
+        instant = asUTC - (wallClockUTC(wallClock(instant, zone)) - instant);
+    }
+    return instant;
+}
+
+function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function weekday(dateStr) {
+    return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+function toDateString(year, month, day) {
+    // month is 1-based; returns null when the day doesn't exist in that month
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== ((month - 1) % 12 + 12) % 12) return null;
+    return date.toISOString().split('T')[0];
+}
+
+// 19:05 -> "7:05 PM", the way event times are typed into the CSV template
+function formatEventTime(hours, minutes) {
+    const meridiem = hours < 12 ? 'AM' : 'PM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+}
+
+// DTSTART, EXDATE, RECURRENCE-ID and UNTIL values:
+// { date, hours, minutes, seconds, zone } with hours null for all-day values.
+// Times without Z or TZID are floating and read in `defaultZone`.
+function parseDateTime(value, params, defaultZone) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) throw new Error(`Invalid date "${value}"`);
+
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    if (toDateString(Number(match[1]), Number(match[2]), Number(match[3])) !== date) {
+        throw new Error(`Invalid date "${value}"`);
+    }
+    if (!match[4] || params.VALUE === 'DATE') {
+        return { date, hours: null, minutes: null, seconds: 0, zone: null };
+    }
+
+    let zone = defaultZone;
+    if (match[7]) {
+        zone = 'UTC';
+    } else if (params.TZID) {
+        zone = resolveTimeZone(params.TZID);
+        if (!zone) throw new Error(`Unknown time zone "${params.TZID}"`);
+    }
+    return { date, hours: Number(match[4]), minutes: Number(match[5]), seconds: Number(match[6]), zone };
+}
+
+// DURATION values such as PT1H30M, P1D or P2W, in seconds
+function parseDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (!match || /^[+-]?P$|T$/i.test(value.trim())) throw new Error(`Invalid DURATION "${value}"`);
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const total = (Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    return sign === '-' ? -total : total;
+}
+
+// The same moment as a wall-clock value in `zone` (all-day values stay put)
+function inZone(value, zone) {
+    if (value.hours === null || !zone || value.zone === zone) return value;
+    return { ...wallClock(toInstant(value, value.zone), zone), zone };
+}
+
+// Supported RRULE parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+// COUNT, UNTIL, BYDAY and, for MONTHLY, BYMONTHDAY. WKST is ignored; weeks
+// start on Monday.
+function parseRRule(value, start) {
+    const rule = {};
+    value.split(';').filter(Boolean).forEach(part => {
+        const [key, ruleValue = ''] = part.split('=');
+        rule[key.toUpperCase()] = ruleValue.toUpperCase();
+    });
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) {
+        throw new Error(`Repeating ${(rule.FREQ || 'without FREQ').toLowerCase()} isn't supported`);
+    }
+    const unsupported = Object.keys(rule).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'WKST'].includes(key));
+    if (rule.BYMONTHDAY && (rule.FREQ !== 'MONTHLY' || rule.BYDAY)) unsupported.push('BYMONTHDAY');
+    if (unsupported.length > 0) {
+        throw new Error(`RRULE ${unsupported.join(', ')} isn't supported`);
+    }
+
+    const interval = rule.INTERVAL ? Number(rule.INTERVAL) : 1;
+    const count = rule.COUNT ? Number(rule.COUNT) : null;
+    if (!Number.isInteger(interval) || interval < 1 || (count !== null && (!Number.isInteger(count) || count < 1))) {
+        throw new Error(`Invalid RRULE "${value}"`);
+    }
+
+    const byDay = (rule.BYDAY ? rule.BYDAY.split(',') : []).map(day => {
+        const match = day.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match || (match[1] && rule.FREQ !== 'MONTHLY')) {
+            throw new Error(`RRULE BYDAY=${rule.BYDAY} isn't supported`);
+        }
+        return { nth: match[1] ? Number(match[1]) : null, day: WEEKDAYS.indexOf(match[2]) };
+    });
+    const byMonthDay = (rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',') : []).map(day => {
+        const number = Number(day);
+        if (!Number.isInteger(number) || number < 1 || number > 31) {
+            throw new Error(`RRULE BYMONTHDAY=${rule.BYMONTHDAY} isn't supported`);
+        }
+        return number;
+    });
+
+    // UNTIL is compared in the start's own zone
+    let until = null;
+    if (rule.UNTIL) {
+        const untilValue = parseDateTime(rule.UNTIL, {}, start.zone || CALENDAR_TIMEZONE);
+        until = start.hours === null || untilValue.hours === null
+            ? { date: untilValue.date, hours: 23, minutes: 59, seconds: 59 }
+            : inZone(untilValue, start.zone);
+    }
+
+    return { freq: rule.FREQ, interval, count, until, byDay, byMonthDay };
+}
+
+// Candidate dates in one period of the rule (period 0 holds the start)
+function periodDates(rule, start, period) {
+    const [year, month, day] = start.date.split('-').map(Number);
+
+    if (rule.freq === 'DAILY') {
+        const date = addDays(start.date, period * rule.interval);
+        return rule.byDay.length === 0 || rule.byDay.some(by => by.day === weekday(date)) ? [date] : [];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        const monday = addDays(start.date, -((weekday(start.date) + 6) % 7) + period * rule.interval * 7);
+        const days = rule.byDay.length > 0 ? rule.byDay.map(by => by.day) : [weekday(start.date)];
+        return days.map(dayOfWeek => addDays(monday, (dayOfWeek + 6) % 7)).sort();
+    }
+
+    if (rule.freq === 'YEARLY') {
+        const date = toDateString(year + period * rule.interval, month, day);
+        return date ? [date] : [];
+    }
+
+    // MONTHLY
+    const monthIndex = month - 1 + period * rule.interval;
+    const monthYear = year + Math.floor(monthIndex / 12);
+    const monthNumber = monthIndex % 12 + 1;
+    const daysInMonth = new Date(Date.UTC(monthYear, monthNumber, 0)).getUTCDate();
+
+    const days = rule.byDay.length === 0 && rule.byMonthDay.length === 0 ? [day] : [...rule.byMonthDay];
+    rule.byDay.forEach(by => {
+        const matching = [];
+        for (let d = 1; d <= daysInMonth; d++) {
+            if (new Date(Date.UTC(monthYear, monthNumber - 1, d)).getUTCDay() === by.day) matching.push(d);
+        }
+        if (by.nth === null) {
+            days.push(...matching);
+        } else {
+            const picked = by.nth > 0 ? matching[by.nth - 1] : matching[matching.length + by.nth];
+            if (picked) days.push(picked);
+        }
+    });
+
+    return [...new Set(days)]
+        .map(d => toDateString(monthYear, monthNumber, d))
+        .filter(Boolean)
+        .sort();
+}
+
+// Occurrence dates of a recurring event, DTSTART first. `excluded` holds
+// EXDATE / RECURRENCE-ID dates in the start's own zone.
+function expandRule(rule, start, excluded) {
+    const horizon = rule.until || rule.count ? null : addDays(start.date, OPEN_ENDED_DAYS);
+    const dates = [start.date];
+
+    for (let period = 0; dates.length < MAX_OCCURRENCES; period++) {
+        if (period > 5000) break; // a rule that matches (almost) no dates
+        const candidates = periodDates(rule, start, period).filter(date => date > start.date);
+
+        let done = false;
+        for (const date of candidates) {
+            if (rule.count && dates.length >= rule.count) { done = true; break; }
+            if (horizon && date > horizon) { done = true; break; }
+            if (rule.until && wallClockUTC({ ...start, date, hours: start.hours ?? 0, minutes: start.minutes ?? 0 }) > wallClockUTC(rule.until)) {
+                done = true;
+                break;
+            }
+            dates.push(date);
+            if (dates.length >= MAX_OCCURRENCES) break;
+        }
+        if (done || (rule.count && dates.length >= rule.count)) break;
+    }
+
+    return dates.filter(date => !excluded.has(date));
+}
+
+// Turn one VEVENT's properties into event rows in the calendar's zone
+function veventToEvents(vevent, defaultZone, overrides) {
+    const start = parseDateTime(vevent.DTSTART.value, vevent.DTSTART.params, defaultZone);
+
+    const excluded = new Set();
+    (vevent.EXDATE || []).forEach(prop => {
+        prop.value.split(',').forEach(value => {
+            excluded.add(inZone(parseDateTime(value, prop.params, defaultZone), start.zone).date);
+        });
+    });
+    (overrides.get(vevent.UID) || []).forEach(recurrenceId => excluded.add(inZone(recurrenceId, start.zone).date));
+
+    const dates = vevent.RRULE
+        ? expandRule(parseRRule(vevent.RRULE.value, start), start, excluded)
+        : [start.date];
+
+    // How long each instance lasts, from DTEND or DURATION: whole days for
+    // an all-day event (DTEND is the day after it ends), seconds otherwise
+    let length = 0;
+    if (vevent.DTEND) {
+        const end = parseDateTime(vevent.DTEND.value, vevent.DTEND.params, defaultZone);
+        length = start.hours === null
+            ? (wallClockUTC({ ...end, hours: 0, minutes: 0 }) - wallClockUTC({ ...start, hours: 0, minutes: 0 })) / 86400000
+            : (toInstant(end.hours === null ? { ...end, hours: 0, minutes: 0 } : end, end.zone || start.zone) - toInstant(start, start.zone)) / 1000;
+    } else if (vevent.DURATION) {
+        length = parseDuration(vevent.DURATION.value);
+        if (start.hours === null) length = Math.floor(length / 86400);
+    }
+
+    return dates.map(date => {
+        if (start.hours === null) {
+            return { date, time: null, end_date: length > 1 ? addDays(date, length - 1) : null, end_time: null, all_day: true };
+        }
+        const local = inZone({ ...start, date }, CALENDAR_TIMEZONE);
+        const occurrence = {
+            date: local.date,
+            time: formatEventTime(local.hours, local.minutes),
+            end_date: null,
+            end_time: null,
+            all_day: false
+        };
+        if (length > 0) {
+            const end = wallClock(toInstant({ ...start, date }, start.zone) + length * 1000, CALENDAR_TIMEZONE);
+            occurrence.end_date = end.date !== local.date ? end.date : null;
+            occurrence.end_time = formatEventTime(end.hours, end.minutes);
+        }
+        return occurrence;
+    });
+}
+
+// Read the VEVENTs of an iCalendar file as event rows:
+//   events   [{ line, uid, title, date, time, end_date, end_time, all_day,
+//              location, description }], one per occurrence
+//   invalid  [{ line, title, message }] - events that can't be imported
+//   errors   [{ line, message }] - the file itself couldn't be read
+// `line` is where the VEVENT begins. Timed events are converted to
+// America/Los_Angeles; all-day events keep their date and have no time.
+// DTEND or DURATION gives the end time, and end_date when an event ends on a
+// later day.
+// Cancelled events are left out, and an instance moved with RECURRENCE-ID
+// replaces the occurrence it overrides.
+export function parseCalendarFile(text) {
+    const lines = unfoldLines(text);
+    if (lines.length === 0 || lines[0].text.trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        return { events: [], invalid: [], errors: [{ line: 1, message: 'Not an iCalendar file (expected BEGIN:VCALENDAR)' }] };
+    }
+
+    const vevents = [];
+    const errors = [];
+    let defaultZone = CALENDAR_TIMEZONE;
+    let current = null;
+    let nested = []; // components inside the VEVENT, e.g. VALARM
+    let depth = 0;
+
+    for (const { text: content, line } of lines) {
+        const prop = parseContentLine(content);
+        if (!prop) {
+            errors.push({ line, message: `Malformed line "${content.slice(0, 40)}"` });
+            continue;
+        }
+        const value = prop.value.trim().toUpperCase();
+
+        if (prop.name === 'BEGIN') {
+            depth++;
+            if (value === 'VEVENT' && !current) {
+                current = { line, props: {} };
+            } else if (current) {
+                nested.push(value);
+            }
+        } else if (prop.name === 'END') {
+            depth--;
+            if (current && nested.length > 0) {
+                nested.pop();
+            } else if (current && value === 'VEVENT') {
+                vevents.push(current);
+                current = null;
+            }
+        } else if (current && nested.length === 0) {
+            // EXDATE may repeat; for anything else the first one wins
+            if (prop.name === 'EXDATE') {
+                (current.props.EXDATE = current.props.EXDATE || []).push(prop);
+            } else if (!current.props[prop.name]) {
+                current.props[prop.name] = prop;
+            }
+        } else if (!current && depth === 1 && prop.name === 'X-WR-TIMEZONE') {
+            defaultZone = resolveTimeZone(prop.value.trim()) || CALENDAR_TIMEZONE;
+        }
+    }
+
+    if (current) {
+        errors.push({ line: current.line, message: 'VEVENT is missing END:VEVENT' });
+    } else if (depth !== 0) {
+        errors.push({ line: lines[lines.length - 1].line, message: 'Missing END:VCALENDAR' });
+    }
+    if (errors.length > 0) {
+        return { events: [], invalid: [], errors };
+    }
+
+    // Moved or cancelled instances, by the UID of the series they belong to
+    const overrides = new Map();
+    vevents.forEach(vevent => {
+        const recurrenceId = vevent.props['RECURRENCE-ID'];
+        if (!recurrenceId || !vevent.props.UID) return;
+        try {
+            const value = parseDateTime(recurrenceId.value, recurrenceId.params, defaultZone);
+            const uid = vevent.props.UID.value;
+            overrides.set(uid, [...(overrides.get(uid) || []), value]);
+        } catch (e) {
+            // reported when the override itself is read below
+        }
+    });
+
+    const events = [];
+    const invalid = [];
+    vevents.forEach(({ line, props }) => {
+        const title = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '';
+        if (props.STATUS && props.STATUS.value.trim().toUpperCase() === 'CANCELLED') return;
+
+        if (!props.DTSTART) {
+            invalid.push({ line, title, message: 'VEVENT has no DTSTART' });
+            return;
+        }
+
+        try {
+            const vevent = {
+                UID: props.UID ? props.UID.value : null,
+                DTSTART: props.DTSTART,
+                DTEND: props.DTEND,
+                DURATION: props.DURATION,
+                RRULE: props['RECURRENCE-ID'] ? null : props.RRULE,
+                EXDATE: props.EXDATE
+            };
+            const description = props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value).trim() : '';
+            const location = props.LOCATION ? unescapeText(props.LOCATION.value).trim() : '';
+            veventToEvents(vevent, defaultZone, overrides).forEach(occurrence => {
+                events.push({ line, uid: vevent.UID, title, ...occurrence, location, description });
+            });
+        } catch (error) {
+            invalid.push({ line, title, message: error.message });
+        }
+    });
+
+    return { events, invalid, errors: [] };
+}
@@ -5,8 +5,96 @@ import {
     handleBulkEventsImport,
     handleUndoEventsBulkImport, 
     handleGetEventsImportHistory,
-    initBulkImportSchema
+    handleBulkDaySchedulesImport,
+    handleBulkDayTypesImport,
+    DAY_SCHEDULES_IMPORT_KIND,
+    DAY_TYPES_IMPORT_KIND
 } from './bulk-import.js';
+import {
+    getAdminSession,
+    handleLogin,
+    handleGetSession,
+    handleLogout,
+    hashPassword,
+    verifyPassword,
+    isPasswordHash,
+    clientAddress,
+    getRetryDelay,
+    recordFailedAttempt,
+    clearFailedAttempts,
+    tooManyAttemptsResponse,
+    createDownloadToken,
+    verifyDownloadToken
+} from './auth.js';
+import { buildCalendarFeed } from './ics.js';
+import { applyPendingMigrations, getSchemaStatus } from './migrations.js';
+import { parseListOptions, parseListParam, allRowsOptions, buildListQuery, mergeListRows, paginate } from './list-query.js';
+import {
+    DISTRICT_SCOPE,
+    EVENT_COLUMNS,
+    EVENT_END_DATE,
+    dayRowsQuery,
+    getDayMaps,
+    getEventOccurrences,
+    handleGetCalendar,
+    handleGetToday
+} from './calendar.js';
+import {
+    addDays,
+    daysBetween,
+    parseRecurrence,
+    readRecurrence,
+    ruleForStart,
+    seriesDates,
+    seriesEnd,
+    withRecurrence
+} from './recurrence.js';
+import { parseEventDetails } from './event-details.js';
+import {
+    getDepartments,
+    resolveDepartment,
+    handleGetDepartments,
+    handlePostDepartment,
+    handlePutDepartment,
+    handleDeleteDepartment
+} from './departments.js';
+import {
+    getDayTypeDefinitions,
+    dayTypeInfo,
+    resolveDayType,
+    handleGetDayTypeDefinitions,
+    handlePostDayTypeDefinition,
+    handlePutDayTypeDefinition,
+    handleDeleteDayTypeDefinition
+} from './day-types.js';
+import {
+    getSchools,
+    getSchoolBySlug,
+    getSchoolCodes,
+    getSchoolByCode,
+    schoolError,
+    resolveGrade,
+    parseCourse,
+    handleGetSchools,
+    handlePostSchool,
+    handlePutSchool,
+    handleDeleteSchool
+} from './schools.js';
+import { createBatchId, handleGetCalendarBatches, handleUndoCalendarBatch } from './calendar-batches.js';
+import { handleGenerateDaySchedules, handleReflowDaySchedules } from './rotation.js';
+import { handleExport } from './export.js';
+import { MATERIAL_VISIBLE, isMaterialVisible, nowInPacific, parseMaterialSchedule } from './material-schedule.js';
+import {
+    MAX_FILES_PER_UPLOAD,
+    MAX_UPLOAD_BYTES,
+    checkMaterialFile,
+    deleteMaterialFiles,
+    fileLink,
+    fileTitle,
+    formatFileSize,
+    materialFileResponse,
+    storeMaterialFiles
+} from './material-files.js';
 
 // Helper function to format dates consistently
 function formatDate(dateInput) {
@@ -24,18 +112,73 @@ function formatDate(dateInput) {
     return date.toISOString().split('T')[0];
 }
 
+// Columns returned for materials - the password hash and the file's object
+// key never leave the database
+const MATERIAL_COLUMNS = `id, school, date, grade_level, course, title, link, description, publish_at, expires_at,
+    CASE WHEN password IS NOT NULL AND password != '' THEN 1 ELSE 0 END AS is_protected,
+    file_name, file_type, file_size, import_batch_id, created_at, updated_at`;
+
+// Hide the link of a protected material unless an admin is asking
+function toPublicMaterial(material, isAdmin) {
+    const isProtected = material.is_protected === 1;
+    return {
+        ...material,
+        is_protected: isProtected,
+        link: isProtected && !isAdmin ? null : material.link
+    };
+}
+
+// Fields and sort order for the list endpoints (see list-query.js)
+const EVENT_LIST = {
+    fields: [
+        'id', 'school', 'date', 'end_date', 'title', 'department', 'time', 'end_time', 'all_day', 'location', 'description',
+        'recurrence', 'occurrence_date', 'is_exception', 'created_at', 'updated_at'
+    ],
+    sortKey: [
+        { sql: 'date', value: row => row.date },
+        { sql: "COALESCE(time, '')", value: row => row.time ?? '' },
+        { sql: 'id', value: row => row.id }
+    ]
+};
+
+const MATERIAL_LIST = {
+    fields: [
+        'id', 'school', 'date', 'grade_level', 'course', 'title', 'link', 'description', 'publish_at', 'expires_at',
+        'is_protected', 'file_name', 'file_type', 'file_size', 'import_batch_id', 'created_at', 'updated_at'
+    ],
+    sortKey: [
+        { sql: 'date', value: row => row.date },
+        { sql: 'grade_level', value: row => row.grade_level },
+        { sql: 'id', value: row => row.id }
+    ]
+};
+
+const DAY_SCHEDULE_LIST = {
+    fields: ['date', 'schedule', 'school'],
+    sortKey: [
+        { sql: 'date', value: row => row.date },
+        { sql: 'school', value: row => row.school }
+    ]
+};
+
+const DAY_TYPE_LIST = {
+    fields: ['date', 'type', 'school'],
+    sortKey: DAY_SCHEDULE_LIST.sortKey
+};
+
 // Helper function to handle CORS
 function corsHeaders() {
     return {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization',
+        'Access-Control-Expose-Headers': 'X-Next-Cursor, Retry-After',
         'Access-Control-Max-Age': '86400',
     };
 }
 
-function corsResponse(response = null, status = 200) {
-    const headers = corsHeaders();
+function corsResponse(response = null, status = 200, extraHeaders = {}) {
+    const headers = { ...corsHeaders(), ...extraHeaders };
     
     if (response) {
         if (typeof response === 'object') {
@@ -48,14 +191,18 @@ function corsResponse(response = null, status = 200) {
     return new Response(null, { status, headers });
 }
 
-// Function to serve student-specific HTML - Redirect approach
+// School names and the like go into the page below as text
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Function to serve student-specific HTML - Redirect approach. `school` is a
+// row of the schools table, found by its slug.
 async function serveStudentCalendar(school, env, request) {
     try {
-        const schoolName = school === 'wlhs' ? 'West Linn High School' : 'Wilsonville High School';
-        const schoolMascot = school === 'wlhs' ? 'Lions' : 'Wildcats';
-        const themeGradient = school === 'wlhs' 
-            ? 'linear-gradient(135deg, #0f4a2b 0%, #1f6b47 100%)'
-            : 'linear-gradient(135deg, #1e3a8a 0%, #3b82f6 100%)';
+        const schoolName = escapeHtml(school.name);
+        const schoolMascot = escapeHtml(school.mascot || school.short_name || school.name);
+        const themeGradient = `linear-gradient(135deg, ${school.primary_color} 0%, ${school.secondary_color} 100%)`;
         
         const html = `<!DOCTYPE html>
 <html lang="en">
@@ -106,11 +253,11 @@ async function serveStudentCalendar(school, env, request) {
     </div>
     
     <script>
-        console.log('Redirecting to student life class calendar for ${school}');
+        console.log('Redirecting to student life class calendar for ${school.code}');
         
         // Redirect to main calendar with student parameters
         setTimeout(function() {
-            window.location.href = '/?studentMode=true&school=${school}&view=calendar&originalUrl=' + encodeURIComponent('/${school === 'wlhs' ? 'lions' : 'wildcats'}');
+            window.location.href = '/?studentMode=true&school=${school.code}&view=calendar&originalUrl=' + encodeURIComponent('/${school.slug}');
         }, 1500);
     </script>
 </body>
@@ -144,13 +291,19 @@ export default {
             return new Response(null, { status: 204 });
         }
         
-        // STUDENT CALENDAR ROUTES
-        if (pathname === '/lions') {
-            return serveStudentCalendar('wlhs', env, request);
-        }
-        
-        if (pathname === '/wildcats') {
-            return serveStudentCalendar('wvhs', env, request);
+        // STUDENT CALENDAR ROUTES - each school's slug (/lions); any other
+        // single-segment path is a static asset
+        const slugMatch = pathname.match(/^\/([a-z][a-z0-9-]*)\/?$/);
+        if (slugMatch) {
+            try {
+                const school = await getSchoolBySlug(env, slugMatch[1]);
+                if (school) {
+                    return serveStudentCalendar(school, env, request);
+                }
+            } catch (error) {
+                // e.g. before the schools migration has run
+                console.error('Error looking up school slug:', error);
+            }
         }
         
         // API routes
@@ -179,21 +332,43 @@ async function handleApiRequest(request, env, url) {
                 endpoints: {
                     health: '/api/health',
                     init: 'POST /api/init',
+                    login: 'POST /api/auth/login',
+                    session: '/api/auth/session',
+                    logout: 'POST /api/auth/logout',
                     daySchedules: '/api/day-schedules',
+                    generateRotation: 'POST /api/day-schedules/generate',
+                    reflowRotation: 'POST /api/day-schedules/reflow',
+                    calendarBatches: '/api/calendar-batches',
                     dayTypes: '/api/day-types',
+                    dayTypeDefinitions: '/api/day-type-definitions',
                     events: '/api/events',
                     materials: '/api/materials',
+                    unlockMaterial: 'POST /api/materials/:id/unlock',
+                    uploadMaterials: 'POST /api/materials/upload',
+                    materialFile: '/api/materials/:id/file',
                     staffLinks: '/api/staff-links',
+                    departments: '/api/departments',
+                    schools: '/api/schools',
+                    calendar: '/api/calendar?school=&from=&to=',
+                    today: '/api/today',
+                    calendarFeed: '/api/calendar/:school.ics',
                     bulkImport: 'POST /api/materials/bulk',
-                    importHistory: '/api/materials/imports'
+                    daySchedulesImport: 'POST /api/day-schedules/bulk',
+                    dayTypesImport: 'POST /api/day-types/bulk',
+                    importHistory: '/api/materials/imports',
+                    export: '/api/{events,materials,day-schedules,day-types}/export?format=csv|json'
                 },
                 features: [
+                    'Admin authentication',
                     'Password-protected materials',
                     'Multi-school support',
                     'A/B day scheduling',
+                    'A/B rotation generator',
                     'Event management',
                     'Grade-level materials',
+                    'Material file uploads',
                     'Bulk import with CSV',
+                    'iCalendar subscription feeds',
                     'Serverless D1 database'
                 ]
             });
@@ -203,12 +378,14 @@ async function handleApiRequest(request, env, url) {
         if (pathname === '/api/health') {
             try {
                 const result = await env.DB.prepare('SELECT datetime("now") as timestamp').first();
+                const schema = await getSchemaStatus(env.DB);
                 
                 return corsResponse({ 
                     status: 'healthy', 
                     message: 'Database connected',
                     connected: true,
                     timestamp: result?.timestamp,
+                    schema,
                     database: 'Cloudflare D1',
                     environment: env.NODE_ENV || 'production'
                 });
@@ -223,6 +400,49 @@ async function handleApiRequest(request, env, url) {
             }
         }
 
+        // Admin authentication routes
+        if (pathname === '/api/auth/login' && method === 'POST') {
+            return handleLogin(request, env, corsResponse);
+        }
+
+        if (pathname === '/api/auth/session' && method === 'GET') {
+            return handleGetSession(request, env, corsResponse);
+        }
+
+        if (pathname === '/api/auth/logout' && method === 'POST') {
+            return handleLogout(request, env, corsResponse);
+        }
+
+        // Students unlock protected materials without an admin session
+        const unlockMatch = pathname.match(/^\/api\/materials\/(\d+)\/unlock$/);
+        if (unlockMatch && method === 'POST') {
+            return handleUnlockMaterial(request, env, unlockMatch[1]);
+        }
+
+        // ...and download uploaded files, which check the material themselves
+        const fileMatch = pathname.match(/^\/api\/materials\/(\d+)\/file$/);
+        if (fileMatch && method === 'GET') {
+            return handleGetMaterialFile(request, env, url, fileMatch[1]);
+        }
+
+        // Every write below this point requires an admin session
+        let session = null;
+        if (['POST', 'PUT', 'DELETE'].includes(method)) {
+            session = await getAdminSession(request, env);
+            if (!session) {
+                return corsResponse({ error: 'Authentication required' }, 401);
+            }
+        }
+
+        // Exports are admin-only too - a materials export includes protected links
+        const exportMatch = pathname.match(/^\/api\/(events|materials|day-schedules|day-types)\/export$/);
+        if (exportMatch && method === 'GET') {
+            if (!(await getAdminSession(request, env))) {
+                return corsResponse({ error: 'Authentication required' }, 401);
+            }
+            return handleExport(env, url, exportMatch[1], corsResponse);
+        }
+
         // Initialize database
         if (pathname === '/api/init' && method === 'POST') {
             return handleDatabaseInit(env);
@@ -231,21 +451,67 @@ async function handleApiRequest(request, env, url) {
         // Day schedules routes
         if (pathname === '/api/day-schedules') {
             if (method === 'GET') {
-                return handleGetDaySchedules(env);
+                return handleGetDaySchedules(env, url);
             } else if (method === 'POST') {
                 return handlePostDaySchedule(request, env);
             }
         }
 
+        if (pathname === '/api/day-schedules/generate' && method === 'POST') {
+            return handleGenerateDaySchedules(request, env, corsResponse, session.username);
+        }
+
+        if (pathname === '/api/day-schedules/reflow' && method === 'POST') {
+            return handleReflowDaySchedules(request, env, corsResponse, session.username);
+        }
+
+        // DAY SCHEDULES BULK IMPORT ROUTES
+        if (pathname === '/api/day-schedules/bulk' && method === 'POST') {
+            return handleBulkDaySchedulesImport(request, env, corsResponse, session.username);
+        }
+
+        if (pathname.startsWith('/api/day-schedules/bulk/') && method === 'DELETE') {
+            const batchId = pathname.split('/')[4];
+            return handleUndoCalendarBatch(env, batchId, corsResponse, DAY_SCHEDULES_IMPORT_KIND);
+        }
+
+        if (pathname === '/api/day-schedules/imports' && method === 'GET') {
+            return handleGetCalendarBatches(env, corsResponse, DAY_SCHEDULES_IMPORT_KIND);
+        }
+
+        // Undoable calendar batches (generated rotations, snow-day reflows, day imports)
+        if (pathname === '/api/calendar-batches' && method === 'GET') {
+            return handleGetCalendarBatches(env, corsResponse);
+        }
+
+        if (pathname.startsWith('/api/calendar-batches/') && method === 'DELETE') {
+            const batchId = pathname.split('/')[3];
+            return handleUndoCalendarBatch(env, batchId, corsResponse);
+        }
+
         // Day types routes
         if (pathname === '/api/day-types') {
             if (method === 'GET') {
-                return handleGetDayTypes(env);
+                return handleGetDayTypes(env, url);
             } else if (method === 'POST') {
                 return handlePostDayType(request, env);
             }
         }
 
+        // DAY TYPES BULK IMPORT ROUTES
+        if (pathname === '/api/day-types/bulk' && method === 'POST') {
+            return handleBulkDayTypesImport(request, env, corsResponse, session.username);
+        }
+
+        if (pathname.startsWith('/api/day-types/bulk/') && method === 'DELETE') {
+            const batchId = pathname.split('/')[4];
+            return handleUndoCalendarBatch(env, batchId, corsResponse, DAY_TYPES_IMPORT_KIND);
+        }
+
+        if (pathname === '/api/day-types/imports' && method === 'GET') {
+            return handleGetCalendarBatches(env, corsResponse, DAY_TYPES_IMPORT_KIND);
+        }
+
         // Events routes
         if (pathname === '/api/events') {
             if (method === 'GET') {
@@ -254,19 +520,24 @@ async function handleApiRequest(request, env, url) {
                 return handlePostEvent(request, env);
             }
         }
+        const copyEventMatch = pathname.match(/^\/api\/events\/(\d+)\/copy$/);
+        if (copyEventMatch && method === 'POST') {
+            return handleCopyEvent(request, env, copyEventMatch[1]);
+        }
+
         //INDIVIDUAL EVENTS ROUTES
         if (pathname.startsWith('/api/events/') && !pathname.includes('bulk') && !pathname.includes('imports')) {
             const eventId = pathname.split('/')[3];
             if (method === 'PUT') {
                 return handlePutEvent(request, env, eventId);
             } else if (method === 'DELETE') {
-                return handleDeleteEvent(env, eventId);
+                return handleDeleteEvent(env, eventId, url);
             }
         }
 
         // EVENTS BULK IMPORT ROUTES
         if (pathname === '/api/events/bulk' && method === 'POST') {
-            return handleBulkEventsImport(request, env, corsResponse);
+            return handleBulkEventsImport(request, env, corsResponse, session.username);
         }
 
         if (pathname.startsWith('/api/events/bulk/') && method === 'DELETE') {
@@ -287,19 +558,10 @@ async function handleApiRequest(request, env, url) {
             }
         }
 
-        // Individual material routes
-        if (pathname.startsWith('/api/materials/')) {
-            const materialId = pathname.split('/')[3];
-            if (method === 'PUT') {
-                return handlePutMaterial(request, env, materialId);
-            } else if (method === 'DELETE') {
-                return handleDeleteMaterial(env, materialId);
-            }
-        }
-
-            // MATERIALS BULK IMPORT ROUTES
+        // MATERIALS BULK IMPORT AND UPLOAD ROUTES - before /api/materials/:id,
+        // which would otherwise take DELETE /api/materials/bulk/:batchId
         if (pathname === '/api/materials/bulk' && method === 'POST') {
-            return handleBulkMaterialsImport(request, env, corsResponse);
+            return handleBulkMaterialsImport(request, env, corsResponse, session.username);
         }
 
         if (pathname.startsWith('/api/materials/bulk/') && method === 'DELETE') {
@@ -310,6 +572,20 @@ async function handleApiRequest(request, env, url) {
         if (pathname === '/api/materials/imports' && method === 'GET') {
             return handleGetImportHistory(env, corsResponse);
         }
+
+        if (pathname === '/api/materials/upload' && method === 'POST') {
+            return handleUploadMaterials(request, env, session.username);
+        }
+
+        // Individual material routes
+        if (pathname.startsWith('/api/materials/')) {
+            const materialId = pathname.split('/')[3];
+            if (method === 'PUT') {
+                return handlePutMaterial(request, env, materialId);
+            } else if (method === 'DELETE') {
+                return handleDeleteMaterial(env, materialId);
+            }
+        }
         
         if (pathname === '/api/staff-links') {
             if (method === 'GET') {
@@ -328,6 +604,75 @@ async function handleApiRequest(request, env, url) {
             }
         }
 
+        // Event departments
+        if (pathname === '/api/departments') {
+            if (method === 'GET') {
+                return handleGetDepartments(env, url, corsResponse);
+            } else if (method === 'POST') {
+                return handlePostDepartment(request, env, corsResponse);
+            }
+        }
+
+        if (pathname.startsWith('/api/departments/')) {
+            const departmentId = pathname.split('/')[3];
+            if (method === 'PUT') {
+                return handlePutDepartment(request, env, departmentId, corsResponse);
+            } else if (method === 'DELETE') {
+                return handleDeleteDepartment(env, departmentId, corsResponse);
+            }
+        }
+
+        // Schools
+        if (pathname === '/api/schools') {
+            if (method === 'GET') {
+                return handleGetSchools(env, corsResponse);
+            } else if (method === 'POST') {
+                return handlePostSchool(request, env, corsResponse);
+            }
+        }
+
+        if (pathname.startsWith('/api/schools/')) {
+            const schoolId = pathname.split('/')[3];
+            if (method === 'PUT') {
+                return handlePutSchool(request, env, schoolId, corsResponse);
+            } else if (method === 'DELETE') {
+                return handleDeleteSchool(env, schoolId, corsResponse);
+            }
+        }
+
+        // Day type definitions
+        if (pathname === '/api/day-type-definitions') {
+            if (method === 'GET') {
+                return handleGetDayTypeDefinitions(env, corsResponse);
+            } else if (method === 'POST') {
+                return handlePostDayTypeDefinition(request, env, corsResponse);
+            }
+        }
+
+        if (pathname.startsWith('/api/day-type-definitions/')) {
+            const definitionId = pathname.split('/')[3];
+            if (method === 'PUT') {
+                return handlePutDayTypeDefinition(request, env, definitionId, corsResponse);
+            } else if (method === 'DELETE') {
+                return handleDeleteDayTypeDefinition(env, definitionId, corsResponse);
+            }
+        }
+
+        // Consolidated calendar window and home screen stats
+        if (pathname === '/api/calendar' && method === 'GET') {
+            return handleGetCalendar(env, url, corsResponse);
+        }
+
+        if (pathname === '/api/today' && method === 'GET') {
+            return handleGetToday(env, url, corsResponse);
+        }
+
+        // iCalendar subscription feeds
+        const feedMatch = pathname.match(/^\/api\/calendar\/([a-z][a-z0-9]*)\.ics$/);
+        if (feedMatch && method === 'GET') {
+            return handleGetCalendarFeed(env, url, feedMatch[1]);
+        }
+
         // 404 for unknown API routes
         return corsResponse({ 
             error: 'Not found',
@@ -345,75 +690,22 @@ async function handleApiRequest(request, env, url) {
     }
 }
 
+// POST /api/init - bring the database up to the latest schema version
 async function handleDatabaseInit(env) {
     try {
-        console.log('Initializing database schema...');
-
-        // Create tables using D1
-        await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS day_schedules (
-                date TEXT PRIMARY KEY,
-                schedule TEXT NOT NULL CHECK (schedule IN ('A', 'B')),
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `).run();
+        console.log('Applying pending schema migrations...');
 
-        await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS day_types (
-                date TEXT PRIMARY KEY,
-                type TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `).run();
-
-        await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                school TEXT NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
-                date TEXT NOT NULL,
-                title TEXT NOT NULL,
-                department TEXT,
-                time TEXT,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `).run();
+        const applied = await applyPendingMigrations(env.DB);
+        const schema = await getSchemaStatus(env.DB);
 
-        await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS materials (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                school TEXT NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
-                date TEXT NOT NULL,
-                grade_level INTEGER NOT NULL CHECK (grade_level BETWEEN 9 AND 12),
-                title TEXT NOT NULL,
-                link TEXT NOT NULL,
-                description TEXT DEFAULT '',
-                password TEXT DEFAULT '',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `).run();
-
-        // Create indexes
-        await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_events_school_date ON events(school, date)`).run();
-        await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_materials_school_date_grade ON materials(school, date, grade_level)`).run();
-        await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_events_date ON events(date)`).run();
-        await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_materials_date ON materials(date)`).run();
-        await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_day_schedules_date ON day_schedules(date)`).run();
-        await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_day_types_date ON day_types(date)`).run();
-
-        // Initialize bulk import schema
-        await initBulkImportSchema(env);
-
-        console.log('Database schema initialized successfully!');
+        console.log(`Database schema is at version ${schema.version}`);
 
         return corsResponse({ 
-            message: 'Database initialized successfully',
-            tables: ['day_schedules', 'day_types', 'events', 'materials', 'import_batches'],
-            features: ['password-protected materials', 'multi-school support', 'bulk import', 'performance indexes'],
+            message: applied.length > 0
+                ? `Applied ${applied.length} migration(s)`
+                : 'Database schema already up to date',
+            applied,
+            schema,
             database: 'Cloudflare D1',
             environment: env.NODE_ENV || 'production',
             timestamp: new Date().toISOString()
@@ -427,16 +719,44 @@ async function handleDatabaseInit(env) {
     }
 }
 
-async function handleGetDaySchedules(env) {
+// Day schedules and day types are keyed by (school, date). A 'district' row
+// applies to every school that has no row of its own for that date.
+
+// Rows from a day table, resolved for one school (see dayRowsQuery)
+async function getDayRows(env, table, valueColumn, school, options = allRowsOptions(DAY_SCHEDULE_LIST.sortKey)) {
+    const query = buildListQuery(dayRowsQuery(table, valueColumn, school), options);
+    const result = await env.DB.prepare(query.sql).bind(...query.params).all();
+    return result.results;
+}
+
+// Validate the optional ?school= / body.school scope for day tables.
+// Returns { scope } - null for none - or { error }.
+async function parseDayScope(env, school) {
+    if (school === undefined || school === null || school === '') return { scope: null };
+    if (school === DISTRICT_SCOPE) return { scope: school };
+    const codes = await getSchoolCodes(env);
+    return codes.includes(school) ? { scope: school } : { error: schoolError(codes, true) };
+}
+
+// GET /api/day-schedules            -> every row, with its school ('district' or a school's code)
+// GET /api/day-schedules?school=wlhs -> one row per date as West Linn sees it
+async function handleGetDaySchedules(env, url) {
     try {
-        const result = await env.DB.prepare('SELECT date, schedule FROM day_schedules ORDER BY date').all();
+        const { scope: school, error } = await parseDayScope(env, url.searchParams.get('school'));
+
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const options = parseListOptions(url, DAY_SCHEDULE_LIST);
+        if (options.error) {
+            return corsResponse({ error: options.error }, 400);
+        }
 
-        const schedules = result.results.map(row => ({
-            date: row.date,
-            schedule: row.schedule
-        }));
+        const rows = await getDayRows(env, 'day_schedules', 'schedule', school, options);
+        const page = paginate(rows, options);
 
-        return corsResponse(schedules);
+        return corsResponse(page.items, 200, page.headers);
     } catch (error) {
         console.error('Error fetching day schedules:', error);
         return corsResponse({ error: error.message }, 500);
@@ -445,31 +765,38 @@ async function handleGetDaySchedules(env) {
 
 async function handlePostDaySchedule(request, env) {
     try {
-        const { date, schedule } = await request.json();
+        const { date, schedule, school } = await request.json();
 
         if (!date) {
             return corsResponse({ error: 'Date is required' }, 400);
         }
 
+        const { scope, error: scopeError } = await parseDayScope(env, school);
+        if (scopeError) {
+            return corsResponse({ error: scopeError }, 400);
+        }
+        const targetSchool = scope || DISTRICT_SCOPE;
+
         const formattedDate = formatDate(date);
 
         if (!schedule || schedule === null) {
-            await env.DB.prepare('DELETE FROM day_schedules WHERE date = ?').bind(formattedDate).run();
+            await env.DB.prepare('DELETE FROM day_schedules WHERE school = ? AND date = ?').bind(targetSchool, formattedDate).run();
         } else {
             if (!['A', 'B'].includes(schedule)) {
                 return corsResponse({ error: 'Schedule must be A or B' }, 400);
             }
 
             await env.DB.prepare(`
-                INSERT OR REPLACE INTO day_schedules (date, schedule, updated_at) 
-                VALUES (?, ?, datetime('now'))
-            `).bind(formattedDate, schedule).run();
+                INSERT OR REPLACE INTO day_schedules (school, date, schedule, updated_at) 
+                VALUES (?, ?, ?, datetime('now'))
+            `).bind(targetSchool, formattedDate, schedule).run();
         }
 
         return corsResponse({ 
             success: true, 
             date: formattedDate, 
-            schedule: schedule 
+            schedule: schedule,
+            school: targetSchool
         });
     } catch (error) {
         console.error('Error updating day schedule:', error);
@@ -477,16 +804,25 @@ async function handlePostDaySchedule(request, env) {
     }
 }
 
-async function handleGetDayTypes(env) {
+// GET /api/day-types            -> every row, with its school ('district' or a school's code)
+// GET /api/day-types?school=wlhs -> one row per date as West Linn sees it
+async function handleGetDayTypes(env, url) {
     try {
-        const result = await env.DB.prepare('SELECT date, type FROM day_types ORDER BY date').all();
+        const { scope: school, error } = await parseDayScope(env, url.searchParams.get('school'));
+
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const options = parseListOptions(url, DAY_TYPE_LIST);
+        if (options.error) {
+            return corsResponse({ error: options.error }, 400);
+        }
 
-        const types = result.results.map(row => ({
-            date: row.date,
-            type: row.type
-        }));
+        const rows = await getDayRows(env, 'day_types', 'type', school, options);
+        const page = paginate(rows, options);
 
-        return corsResponse(types);
+        return corsResponse(page.items, 200, page.headers);
     } catch (error) {
         console.error('Error fetching day types:', error);
         return corsResponse({ error: error.message }, 500);
@@ -495,27 +831,44 @@ async function handleGetDayTypes(env) {
 
 async function handlePostDayType(request, env) {
     try {
-        const { date, type } = await request.json();
+        const { date, type, school } = await request.json();
 
         if (!date) {
             return corsResponse({ error: 'Date is required' }, 400);
         }
 
+        const { scope, error: scopeError } = await parseDayScope(env, school);
+        if (scopeError) {
+            return corsResponse({ error: scopeError }, 400);
+        }
+        const targetSchool = scope || DISTRICT_SCOPE;
+
         const formattedDate = formatDate(date);
 
-        if (!type || type === null) {
-            await env.DB.prepare('DELETE FROM day_types WHERE date = ?').bind(formattedDate).run();
+        // A blank type clears the date; anything else must be a defined day type
+        let dayType = null;
+        if (type) {
+            const resolved = resolveDayType(await getDayTypeDefinitions(env), type);
+            if (resolved.error) {
+                return corsResponse({ error: resolved.error }, 400);
+            }
+            dayType = resolved.type;
+        }
+
+        if (!dayType) {
+            await env.DB.prepare('DELETE FROM day_types WHERE school = ? AND date = ?').bind(targetSchool, formattedDate).run();
         } else {
             await env.DB.prepare(`
-                INSERT OR REPLACE INTO day_types (date, type, updated_at) 
-                VALUES (?, ?, datetime('now'))
-            `).bind(formattedDate, type).run();
+                INSERT OR REPLACE INTO day_types (school, date, type, updated_at) 
+                VALUES (?, ?, ?, datetime('now'))
+            `).bind(targetSchool, formattedDate, dayType).run();
         }
 
         return corsResponse({ 
             success: true, 
             date: formattedDate, 
-            type: type 
+            type: dayType,
+            school: targetSchool
         });
     } catch (error) {
         console.error('Error updating day type:', error);
@@ -523,6 +876,9 @@ async function handlePostDayType(request, env) {
     }
 }
 
+// Recurring events come back as one entry per occurrence in the window, with
+// the series id, `occurrence_date` and the rule in `recurrence`. Multi-day
+// events that overlap from..to are included.
 async function handleGetEvents(request, env, url) {
     try {
         const school = url.searchParams.get('school');
@@ -531,15 +887,38 @@ async function handleGetEvents(request, env, url) {
             return corsResponse({ error: 'School parameter is required' }, 400);
         }
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return corsResponse({ error: 'School must be wlhs or wvhs' }, 400);
+        const codes = await getSchoolCodes(env);
+        if (!codes.includes(school)) {
+            return corsResponse({ error: schoolError(codes) }, 400);
         }
 
-        const result = await env.DB.prepare(
-            'SELECT id, school, date, title, department, time, description, created_at, updated_at FROM events WHERE school = ? ORDER BY date, time, id'
-        ).bind(school).all();
+        const options = parseListOptions(url, EVENT_LIST);
+        if (options.error) {
+            return corsResponse({ error: options.error }, 400);
+        }
 
-        return corsResponse(result.results);
+        const where = ['school = ?', 'recurrence IS NULL'];
+        const params = [school];
+
+        // ?department=Athletics,Music
+        const departments = parseListParam(url, 'department');
+        if (departments.length > 0) {
+            where.push(`department IN (${departments.map(() => '?').join(', ')})`);
+            params.push(...departments);
+        }
+
+        const query = buildListQuery({
+            select: `SELECT ${EVENT_COLUMNS} FROM events`,
+            where,
+            params,
+            endDateColumn: EVENT_END_DATE
+        }, options);
+
+        const result = await env.DB.prepare(query.sql).bind(...query.params).all();
+        const occurrences = await getEventOccurrences(env, school, { from: options.from, to: options.to, departments });
+        const page = paginate(mergeListRows(result.results, occurrences, options), options);
+
+        return corsResponse(page.items, 200, page.headers);
     } catch (error) {
         console.error('Error fetching events:', error);
         return corsResponse({ error: error.message }, 500);
@@ -548,75 +927,502 @@ async function handleGetEvents(request, env, url) {
 
 async function handlePostEvent(request, env) {
     try {
-        const { school, date, title, department, time, description } = await request.json();
+        const body = await request.json();
+        const { school, date, title, department, description, recurrence } = body;
 
         if (!school || !date || !title) {
             return corsResponse({ error: 'School, date, and title are required' }, 400);
         }
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return corsResponse({ error: 'School must be wlhs or wvhs' }, 400);
+        const codes = await getSchoolCodes(env);
+        if (!codes.includes(school)) {
+            return corsResponse({ error: schoolError(codes) }, 400);
         }
 
         const formattedDate = formatDate(date);
 
+        const { details, error } = parseEventDetails(formattedDate, body);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const resolved = await parseEventDepartment(env, school, department);
+        if (resolved.error) {
+            return corsResponse({ error: resolved.error }, 400);
+        }
+
+        const rule = parseRecurrence(recurrence, formattedDate);
+        if (rule.error) {
+            return corsResponse({ error: rule.error }, 400);
+        }
+
         const result = await env.DB.prepare(`
-            INSERT INTO events (school, date, title, department, time, description)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `).bind(school, formattedDate, title, department || null, time || null, description || '').run();
+            INSERT INTO events (school, date, end_date, title, department, time, end_time, all_day, location, description, recurrence)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            school, formattedDate, details.end_date, title, resolved.department, details.time, details.end_time,
+            details.all_day, details.location, description || '',
+            rule.recurrence ? JSON.stringify(rule.recurrence) : null
+        ).run();
 
         // Get the inserted record
         const newEvent = await env.DB.prepare(
-            'SELECT id, school, date, title, department, time, description, created_at, updated_at FROM events WHERE id = ?'
+            `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`
         ).bind(result.meta.last_row_id).first();
 
-        return corsResponse(newEvent);
+        return corsResponse(withRecurrence(newEvent));
     } catch (error) {
         console.error('Error creating event:', error);
         return corsResponse({ error: error.message }, 500);
     }
 }
 
+// Editing or deleting a recurring event applies to one of these
+const SERIES_SCOPES = ['occurrence', 'future', 'series'];
+
+// Every date a series' rule generates, checked against the school's day
+// types and A/B letters
+async function getSeriesDates(env, event) {
+    const { dayTypes, schedules } = await getDayMaps(env, event.school, event.date, seriesEnd(event));
+    return seriesDates(event, { dayTypes, schedules });
+}
+
+// The scope and occurrence date of an edit or delete. Returns { error } for
+// bad input; one-off events are always edited as a whole.
+function parseSeriesScope(event, scope, occurrenceDate) {
+    scope = scope || 'series';
+    if (!SERIES_SCOPES.includes(scope)) {
+        return { error: `scope must be one of ${SERIES_SCOPES.join(', ')}` };
+    }
+    if (!event.recurrence || scope === 'series') {
+        return { scope: 'series' };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate || '')) {
+        return { error: `An occurrence date (YYYY-MM-DD) is required for scope ${scope}` };
+    }
+    // All future occurrences from the first one is the whole series
+    if (scope === 'future' && occurrenceDate <= event.date) {
+        return { scope: 'series' };
+    }
+    return { scope, occurrenceDate };
+}
+
+// `department` from an event write, matched against the ones `school` can
+// use; { department } (the stored name, or null) or { error }
+async function parseEventDepartment(env, school, department) {
+    return resolveDepartment(await getDepartments(env, school), department);
+}
+
+// The `date` and `school` of an edit or copy, or { error }. Either may be
+// left out to keep the event's own.
+async function parseEventPlacement(env, event, body) {
+    const school = body.school === undefined || body.school === null || body.school === '' ? event.school : body.school;
+    if (school !== event.school) {
+        const codes = await getSchoolCodes(env);
+        if (!codes.includes(school)) {
+            return { error: schoolError(codes) };
+        }
+    }
+
+    let date = event.date;
+    if (body.date) {
+        try {
+            date = formatDate(body.date);
+        } catch (e) {
+            return { error: 'date must be in YYYY-MM-DD format' };
+        }
+    }
+    return { school, date };
+}
+
+// PUT /api/events/:id - { title, department, time, end_date, end_time,
+// all_day, location, description, date?, school?, recurrence? }
+// `date` and `school` move the event, keeping its id and import batch.
+// For a recurring event, `scope` picks what changes:
+//   series      the whole series (default); `recurrence: null` stops it
+//               repeating, and `date` moves its start along with its exceptions
+//   occurrence  just `occurrenceDate`, saved as an exception; `date` moves it
+//   future      `occurrenceDate` on: the series ends the day before and a new
+//               one, with the edits (`school` included), starts on that date
 async function handlePutEvent(request, env, eventId) {
     try {
-        const { title, department, time, description } = await request.json();
+        const body = await request.json();
+        const { title, department, description } = body;
 
         if (!title) {
             return corsResponse({ error: 'Title is required' }, 400);
         }
 
-        await env.DB.prepare(`
+        const event = await env.DB.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`).bind(eventId).first();
+        if (!event) {
+            return corsResponse({ error: 'Event not found' }, 404);
+        }
+
+        const target = parseSeriesScope(event, body.scope, body.occurrenceDate);
+        if (target.error) {
+            return corsResponse({ error: target.error }, 400);
+        }
+
+        if (target.scope !== 'series') {
+            const placement = await parseEventPlacement(env, { ...event, date: target.occurrenceDate }, body);
+            if (placement.error) {
+                return corsResponse({ error: placement.error }, 400);
+            }
+            if (target.scope === 'occurrence' && placement.school !== event.school) {
+                return corsResponse({ error: 'One occurrence can\'t move to another school; edit the series or this and future occurrences' }, 400);
+            }
+            if (target.scope === 'future' && placement.date !== target.occurrenceDate) {
+                return corsResponse({ error: 'Only the whole series or one occurrence can move to another date' }, 400);
+            }
+
+            const resolved = await parseEventDepartment(env, placement.school, department);
+            if (resolved.error) {
+                return corsResponse({ error: resolved.error }, 400);
+            }
+
+            const dates = await getSeriesDates(env, event);
+            if (!dates.includes(target.occurrenceDate)) {
+                return corsResponse({ error: `The event does not occur on ${target.occurrenceDate}` }, 404);
+            }
+
+            const edits = { ...body, school: placement.school, department: resolved.department };
+            return target.scope === 'occurrence'
+                ? updateOccurrence(env, event, target.occurrenceDate, edits)
+                : splitSeries(env, event, target.occurrenceDate, dates, edits);
+        }
+
+        const { school, date, error: placementError } = await parseEventPlacement(env, event, body);
+        if (placementError) {
+            return corsResponse({ error: placementError }, 400);
+        }
+
+        const { details, error } = parseEventDetails(date, body);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const resolved = await parseEventDepartment(env, school, department);
+        if (resolved.error) {
+            return corsResponse({ error: resolved.error }, 400);
+        }
+
+        let recurrence = ruleForStart(readRecurrence(event), event.date, date);
+        if (body.recurrence !== undefined) {
+            recurrence = body.recurrence;
+        }
+        const rule = parseRecurrence(recurrence, date);
+        if (rule.error) {
+            return corsResponse({ error: rule.error }, 400);
+        }
+        recurrence = rule.recurrence;
+
+        const statements = [env.DB.prepare(`
             UPDATE events 
-            SET title = ?, department = ?, time = ?, description = ?, updated_at = datetime('now')
+            SET school = ?, date = ?, end_date = ?, title = ?, department = ?, time = ?, end_time = ?, all_day = ?,
+                location = ?, description = ?, recurrence = ?, updated_at = datetime('now')
             WHERE id = ?
-        `).bind(title, department || null, time || null, description || '', eventId).run();
+        `).bind(
+            school, date, details.end_date, title, resolved.department, details.time, details.end_time, details.all_day,
+            details.location, description || '', recurrence ? JSON.stringify(recurrence) : null, eventId
+        )];
+
+        // Exceptions move with the series, so they still land on the
+        // occurrences they were made for. Shifted in two steps so no row
+        // collides with one that hasn't moved yet.
+        const shift = daysBetween(event.date, date);
+        if (recurrence && shift !== 0) {
+            const offset = `${shift > 0 ? '+' : ''}${shift} days`;
+            statements.push(
+                env.DB.prepare(`
+                    UPDATE event_exceptions
+                    SET occurrence_date = 'moving:' || date(occurrence_date, ?),
+                        date = date(date, ?),
+                        end_date = date(end_date, ?)
+                    WHERE event_id = ?
+                `).bind(offset, offset, offset, eventId),
+                env.DB.prepare(`
+                    UPDATE event_exceptions
+                    SET occurrence_date = substr(occurrence_date, 8), updated_at = datetime('now')
+                    WHERE event_id = ? AND occurrence_date LIKE 'moving:%'
+                `).bind(eventId)
+            );
+        }
+
+        // Exceptions belong to the rule; a one-off event has none
+        if (!recurrence) {
+            statements.push(env.DB.prepare('DELETE FROM event_exceptions WHERE event_id = ?').bind(eventId));
+        }
+        await env.DB.batch(statements);
 
         const updatedEvent = await env.DB.prepare(
-            'SELECT id, school, date, title, department, time, description, created_at, updated_at FROM events WHERE id = ?'
+            `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`
         ).bind(eventId).first();
 
-        if (!updatedEvent) {
+        return corsResponse(withRecurrence(updatedEvent));
+    } catch (error) {
+        console.error('Error updating event:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// Save edits to one occurrence as an exception. Only fields that differ from
+// the series are stored, so later edits to the series still reach it.
+async function updateOccurrence(env, event, occurrenceDate, body) {
+    const date = body.date ? formatDate(body.date) : occurrenceDate;
+    const { details, error } = parseEventDetails(date, body);
+    if (error) {
+        return corsResponse({ error }, 400);
+    }
+
+    const values = {
+        date,
+        title: body.title,
+        department: body.department || null,
+        description: body.description || '',
+        ...details
+    };
+    // A moved occurrence keeps the series' length unless end_date says otherwise
+    const seriesEndDate = addDays(date, event.end_date ? daysBetween(event.date, event.end_date) : 0);
+    const overrides = {
+        date: values.date !== occurrenceDate ? values.date : null,
+        title: values.title !== event.title ? values.title : null,
+        // '' clears a department, time, end time or location the series has
+        department: values.department !== event.department ? values.department || '' : null,
+        time: values.time !== event.time ? values.time || '' : null,
+        description: values.description !== (event.description || '') ? values.description : null,
+        end_date: (values.end_date || date) !== seriesEndDate ? values.end_date || date : null,
+        end_time: values.end_time !== event.end_time ? values.end_time || '' : null,
+        all_day: values.all_day !== event.all_day ? values.all_day : null,
+        location: values.location !== event.location ? values.location || '' : null
+    };
+
+    await env.DB.prepare(`
+        INSERT INTO event_exceptions (
+            event_id, occurrence_date, is_cancelled, date, title, department, time, description,
+            end_date, end_time, all_day, location
+        )
+        VALUES (?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (event_id, occurrence_date) DO UPDATE SET
+            is_cancelled = 0,
+            date = excluded.date,
+            title = excluded.title,
+            department = excluded.department,
+            time = excluded.time,
+            description = excluded.description,
+            end_date = excluded.end_date,
+            end_time = excluded.end_time,
+            all_day = excluded.all_day,
+            location = excluded.location,
+            updated_at = datetime('now')
+    `).bind(
+        event.id, occurrenceDate, overrides.date, overrides.title, overrides.department, overrides.time, overrides.description,
+        overrides.end_date, overrides.end_time, overrides.all_day, overrides.location
+    ).run();
+
+    const occurrences = await getEventOccurrences(env, event.school, { eventId: event.id });
+    return corsResponse(occurrences.find(occurrence => occurrence.occurrence_date === occurrenceDate));
+}
+
+// "This and all future occurrences": end the series the day before
+// `occurrenceDate` and start a new one there with the edits. A count carries
+// over as the occurrences that were left, and exceptions from that date on
+// move to the new series.
+async function splitSeries(env, event, occurrenceDate, dates, body) {
+    const { details, error } = parseEventDetails(occurrenceDate, body);
+    if (error) {
+        return corsResponse({ error }, 400);
+    }
+
+    let recurrence = { ...readRecurrence(event) };
+    if (body.recurrence !== undefined) {
+        const rule = parseRecurrence(body.recurrence, occurrenceDate);
+        if (rule.error) {
+            return corsResponse({ error: rule.error }, 400);
+        }
+        recurrence = rule.recurrence;
+    } else if (recurrence.count) {
+        recurrence.count -= dates.indexOf(occurrenceDate);
+    }
+
+    const statements = [
+        env.DB.prepare(`
+            INSERT INTO events (school, date, end_date, title, department, time, end_time, all_day, location, description, recurrence)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING id
+        `).bind(
+            body.school, occurrenceDate, details.end_date, body.title, body.department || null, details.time, details.end_time,
+            details.all_day, details.location, body.description || '', recurrence ? JSON.stringify(recurrence) : null
+        ),
+        recurrence
+            ? env.DB.prepare(`
+                UPDATE event_exceptions SET event_id = last_insert_rowid()
+                WHERE event_id = ? AND occurrence_date >= ?
+            `).bind(event.id, occurrenceDate)
+            : env.DB.prepare('DELETE FROM event_exceptions WHERE event_id = ? AND occurrence_date >= ?').bind(event.id, occurrenceDate),
+        env.DB.prepare(`
+            UPDATE events
+            SET recurrence = json_set(recurrence, '$.until', ?), updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(addDays(occurrenceDate, -1), event.id)
+    ];
+    const [inserted] = await env.DB.batch(statements);
+
+    const newEvent = await env.DB.prepare(
+        `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`
+    ).bind(inserted.results[0].id).first();
+
+    return corsResponse({ ...withRecurrence(newEvent), splitFrom: event.id });
+}
+
+// DELETE /api/events/:id - for a recurring event ?scope=occurrence|future|series
+// (default series) and ?date=YYYY-MM-DD, the occurrence to start from
+async function handleDeleteEvent(env, eventId, url) {
+    try {
+        const event = await env.DB.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`).bind(eventId).first();
+        if (!event) {
             return corsResponse({ error: 'Event not found' }, 404);
         }
 
-        return corsResponse(updatedEvent);
+        const target = parseSeriesScope(event, url.searchParams.get('scope'), url.searchParams.get('date'));
+        if (target.error) {
+            return corsResponse({ error: target.error }, 400);
+        }
+
+        if (target.scope === 'series') {
+            await env.DB.batch([
+                env.DB.prepare('DELETE FROM event_exceptions WHERE event_id = ?').bind(eventId),
+                env.DB.prepare('DELETE FROM events WHERE id = ?').bind(eventId)
+            ]);
+            return corsResponse({ success: true, id: parseInt(eventId), scope: 'series' });
+        }
+
+        const dates = await getSeriesDates(env, event);
+        if (!dates.includes(target.occurrenceDate)) {
+            return corsResponse({ error: `The event does not occur on ${target.occurrenceDate}` }, 404);
+        }
+
+        if (target.scope === 'occurrence') {
+            await env.DB.prepare(`
+                INSERT INTO event_exceptions (event_id, occurrence_date, is_cancelled)
+                VALUES (?, ?, 1)
+                ON CONFLICT (event_id, occurrence_date) DO UPDATE SET
+                    is_cancelled = 1,
+                    date = NULL,
+                    title = NULL,
+                    department = NULL,
+                    time = NULL,
+                    description = NULL,
+                    end_date = NULL,
+                    end_time = NULL,
+                    all_day = NULL,
+                    location = NULL,
+                    updated_at = datetime('now')
+            `).bind(eventId, target.occurrenceDate).run();
+        } else {
+            await env.DB.batch([
+                env.DB.prepare('DELETE FROM event_exceptions WHERE event_id = ? AND occurrence_date >= ?').bind(eventId, target.occurrenceDate),
+                env.DB.prepare(`
+                    UPDATE events
+                    SET recurrence = json_set(recurrence, '$.until', ?), updated_at = datetime('now')
+                    WHERE id = ?
+                `).bind(addDays(target.occurrenceDate, -1), eventId)
+            ]);
+        }
+
+        return corsResponse({ success: true, id: parseInt(eventId), scope: target.scope, date: target.occurrenceDate });
     } catch (error) {
-        console.error('Error updating event:', error);
+        console.error('Error deleting event:', error);
         return corsResponse({ error: error.message }, 500);
     }
 }
 
-async function handleDeleteEvent(env, eventId) {
+// At most this many events from one copy request
+const MAX_EVENT_COPIES = 200;
+
+// POST /api/events/:id/copy - { dates?, school?, occurrenceDate? }
+// Copies the event to each of `dates` (default: its own date) at `school`:
+// a school's code, or 'district' for every school (default: its own school). A copy that
+// would land on the event itself is skipped. A recurring event is copied as
+// a series starting on each date, without its exceptions; with
+// `occurrenceDate` just that occurrence is copied, as one-off events.
+// Multi-day events keep their length.
+async function handleCopyEvent(request, env, eventId) {
     try {
-        const result = await env.DB.prepare('DELETE FROM events WHERE id = ?').bind(eventId).run();
+        const body = await request.json();
 
-        if (result.changes === 0) {
+        let event = await env.DB.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`).bind(eventId).first();
+        if (!event) {
             return corsResponse({ error: 'Event not found' }, 404);
         }
 
-        return corsResponse({ success: true, id: parseInt(eventId) });
+        if (event.recurrence && body.occurrenceDate) {
+            const occurrences = await getEventOccurrences(env, event.school, { eventId: event.id });
+            const occurrence = occurrences.find(item => item.occurrence_date === body.occurrenceDate);
+            if (!occurrence) {
+                return corsResponse({ error: `The event does not occur on ${body.occurrenceDate}` }, 404);
+            }
+            event = { ...occurrence, recurrence: null };
+        }
+
+        const school = body.school || event.school;
+        const codes = await getSchoolCodes(env);
+        if (school !== DISTRICT_SCOPE && !codes.includes(school)) {
+            return corsResponse({ error: schoolError(codes, true) }, 400);
+        }
+        const schools = school === DISTRICT_SCOPE ? codes : [school];
+        for (const copySchool of schools) {
+            const resolved = await parseEventDepartment(env, copySchool, event.department);
+            if (resolved.error) {
+                return corsResponse({ error: `${copySchool.toUpperCase()}: ${resolved.error}` }, 400);
+            }
+        }
+
+        const dateInputs = body.dates === undefined ? [event.date] : body.dates;
+        if (!Array.isArray(dateInputs) || dateInputs.length === 0) {
+            return corsResponse({ error: 'dates must be a list of YYYY-MM-DD dates' }, 400);
+        }
+        let dates;
+        try {
+            dates = [...new Set(dateInputs.map(formatDate))].sort();
+        } catch (e) {
+            return corsResponse({ error: 'dates must be a list of YYYY-MM-DD dates' }, 400);
+        }
+
+        const span = event.end_date ? daysBetween(event.date, event.end_date) : 0;
+        const copies = [];
+        for (const date of dates) {
+            const rule = parseRecurrence(ruleForStart(readRecurrence(event), event.date, date), date);
+            if (rule.error) {
+                return corsResponse({ error: `${date}: ${rule.error}` }, 400);
+            }
+            schools
+                .filter(copySchool => !(copySchool === event.school && date === event.date))
+                .forEach(copySchool => copies.push({ school: copySchool, date, recurrence: rule.recurrence }));
+        }
+
+        if (copies.length === 0) {
+            return corsResponse({ error: 'Pick a date or school other than the event\'s own' }, 400);
+        }
+        if (copies.length > MAX_EVENT_COPIES) {
+            return corsResponse({ error: `At most ${MAX_EVENT_COPIES} copies at a time` }, 400);
+        }
+
+        const results = await env.DB.batch(copies.map(copy => env.DB.prepare(`
+            INSERT INTO events (school, date, end_date, title, department, time, end_time, all_day, location, description, recurrence)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING ${EVENT_COLUMNS}
+        `).bind(
+            copy.school, copy.date, span > 0 ? addDays(copy.date, span) : null, event.title, event.department || null,
+            event.time || null, event.end_time || null, event.all_day ? 1 : 0, event.location || null, event.description || '',
+            copy.recurrence ? JSON.stringify(copy.recurrence) : null
+        )));
+
+        return corsResponse({
+            success: true,
+            copied: results.map(result => withRecurrence(result.results[0]))
+        });
     } catch (error) {
-        console.error('Error deleting event:', error);
+        console.error('Error copying event:', error);
         return corsResponse({ error: error.message }, 500);
     }
 }
@@ -629,15 +1435,58 @@ async function handleGetMaterials(request, env, url) {
             return corsResponse({ error: 'School parameter is required' }, 400);
         }
         
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return corsResponse({ error: 'School must be wlhs or wvhs' }, 400);
+        const schoolRow = await getSchoolByCode(env, school);
+        if (!schoolRow) {
+            return corsResponse({ error: schoolError(await getSchoolCodes(env)) }, 400);
         }
         
-        const result = await env.DB.prepare(
-            'SELECT id, school, date, grade_level, title, link, description, password, import_batch_id, created_at, updated_at FROM materials WHERE school = ? ORDER BY date, grade_level, id'
-        ).bind(school).all();
+        const options = parseListOptions(url, MATERIAL_LIST);
+        if (options.error) {
+            return corsResponse({ error: options.error }, 400);
+        }
+
+        const where = ['school = ?'];
+        const params = [school];
+
+        // ?grade_level=9,10 (K for kindergarten)
+        const gradeLevels = [];
+        for (const value of parseListParam(url, 'grade_level')) {
+            const { grade, error } = resolveGrade(schoolRow, value);
+            if (error) {
+                return corsResponse({ error }, 400);
+            }
+            gradeLevels.push(grade);
+        }
+        if (gradeLevels.length > 0) {
+            where.push(`grade_level IN (${gradeLevels.map(() => '?').join(', ')})`);
+            params.push(...gradeLevels);
+        }
+
+        // ?course=Algebra 1,Biology - in any case
+        const courses = parseListParam(url, 'course');
+        if (courses.length > 0) {
+            where.push(`lower(course) IN (${courses.map(() => 'lower(?)').join(', ')})`);
+            params.push(...courses);
+        }
+
+        // Only admins see materials before publish_at or after expires_at
+        const isAdmin = !!(await getAdminSession(request, env));
+        if (!isAdmin) {
+            const now = nowInPacific();
+            where.push(MATERIAL_VISIBLE);
+            params.push(now, now);
+        }
+
+        const query = buildListQuery({
+            select: `SELECT ${MATERIAL_COLUMNS} FROM materials`,
+            where,
+            params
+        }, options);
+
+        const result = await env.DB.prepare(query.sql).bind(...query.params).all();
+        const page = paginate(result.results.map(material => toPublicMaterial(material, isAdmin)), options);
         
-        return corsResponse(result.results);
+        return corsResponse(page.items, 200, page.headers);
     } catch (error) {
         console.error('Error fetching materials:', error);
         return corsResponse({ error: error.message }, 500);
@@ -646,76 +1495,381 @@ async function handleGetMaterials(request, env, url) {
 
 async function handlePostMaterial(request, env) {
     try {
-        const { school, date, grade_level, title, link, description, password } = await request.json();
+        const body = await request.json();
+        const { school, date, grade_level, course, title, link, description, password } = body;
 
-        if (!school || !date || !grade_level || !title || !link) {
+        if (!school || !date || grade_level === undefined || grade_level === null || grade_level === '' || !title || !link) {
             return corsResponse({ error: 'School, date, grade_level, title, and link are required' }, 400);
         }
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return corsResponse({ error: 'School must be wlhs or wvhs' }, 400);
+        const schoolRow = await getSchoolByCode(env, school);
+        if (!schoolRow) {
+            return corsResponse({ error: schoolError(await getSchoolCodes(env)) }, 400);
+        }
+
+        const resolvedGrade = resolveGrade(schoolRow, grade_level);
+        if (resolvedGrade.error) {
+            return corsResponse({ error: resolvedGrade.error }, 400);
         }
 
-        if (![9, 10, 11, 12].includes(parseInt(grade_level))) {
-            return corsResponse({ error: 'Grade level must be 9, 10, 11, or 12' }, 400);
+        const resolvedCourse = parseCourse(course);
+        if (resolvedCourse.error) {
+            return corsResponse({ error: resolvedCourse.error }, 400);
+        }
+
+        const { schedule, error: scheduleError } = parseMaterialSchedule(body);
+        if (scheduleError) {
+            return corsResponse({ error: scheduleError }, 400);
         }
 
         const formattedDate = formatDate(date);
+        const passwordHash = password ? await hashPassword(password) : '';
 
         const result = await env.DB.prepare(`
-            INSERT INTO materials (school, date, grade_level, title, link, description, password)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).bind(school, formattedDate, parseInt(grade_level), title, link, description || '', password || '').run();
+            INSERT INTO materials (school, date, grade_level, course, title, link, description, password, publish_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            school, formattedDate, resolvedGrade.grade, resolvedCourse.course, title, link, description || '', passwordHash,
+            schedule.publish_at, schedule.expires_at
+        ).run();
 
         // Get the inserted record
         const newMaterial = await env.DB.prepare(
-            'SELECT id, school, date, grade_level, title, link, description, password, created_at, updated_at FROM materials WHERE id = ?'
+            `SELECT ${MATERIAL_COLUMNS} FROM materials WHERE id = ?`
         ).bind(result.meta.last_row_id).first();
 
-        return corsResponse(newMaterial);
+        return corsResponse(toPublicMaterial(newMaterial, true));
     } catch (error) {
         console.error('Error creating material:', error);
         return corsResponse({ error: error.message }, 500);
     }
 }
 
+// POST /api/materials/upload - a multipart form with one or more `file`
+// fields plus school, date, grade_level and optionally course, description,
+// password, publish_at, expires_at and (for a single file) title. Each file
+// becomes a material linking to its download route, all recorded as one
+// import batch so DELETE /api/materials/bulk/:batchId takes them back.
+// Nothing is stored unless every file passes.
+async function handleUploadMaterials(request, env, importedBy) {
+    try {
+        if (!env.MATERIAL_FILES) {
+            return corsResponse({ error: 'File storage is not configured' }, 500);
+        }
+
+        // Checked before anything is read: a body without a length could be
+        // any size
+        const contentLength = request.headers.get('Content-Length');
+        if (!/^\d+$/.test(contentLength || '')) {
+            return corsResponse({ error: 'Content-Length is required' }, 411);
+        }
+        if (Number(contentLength) > MAX_UPLOAD_BYTES) {
+            return corsResponse({
+                error: `Uploads can be at most ${formatFileSize(MAX_UPLOAD_BYTES)} in all; upload large files a few at a time`
+            }, 413);
+        }
+
+        let form;
+        try {
+            form = await request.formData();
+        } catch (error) {
+            return corsResponse({ error: 'Send the files as multipart/form-data' }, 400);
+        }
+
+        // Form fields as they'd appear in a JSON body; blank ones are left out
+        const body = {};
+        for (const [name, value] of form.entries()) {
+            if (typeof value === 'string' && value.trim() !== '') body[name] = value;
+        }
+        const files = form.getAll('file').filter(value => typeof value !== 'string');
+        const { school, date, grade_level, course, title, description, password } = body;
+
+        if (files.length === 0) {
+            return corsResponse({ error: 'Choose at least one file to upload' }, 400);
+        }
+        if (files.length > MAX_FILES_PER_UPLOAD) {
+            return corsResponse({ error: `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time` }, 400);
+        }
+        if (!school || !date || grade_level === undefined) {
+            return corsResponse({ error: 'School, date, and grade_level are required' }, 400);
+        }
+        if (title && files.length > 1) {
+            return corsResponse({ error: 'A title can only be given for a single file; each file is titled from its name' }, 400);
+        }
+
+        const schoolRow = await getSchoolByCode(env, school);
+        if (!schoolRow) {
+            return corsResponse({ error: schoolError(await getSchoolCodes(env)) }, 400);
+        }
+
+        const resolvedGrade = resolveGrade(schoolRow, grade_level);
+        if (resolvedGrade.error) {
+            return corsResponse({ error: resolvedGrade.error }, 400);
+        }
+
+        const resolvedCourse = parseCourse(course);
+        if (resolvedCourse.error) {
+            return corsResponse({ error: resolvedCourse.error }, 400);
+        }
+
+        const { schedule, error: scheduleError } = parseMaterialSchedule(body);
+        if (scheduleError) {
+            return corsResponse({ error: scheduleError }, 400);
+        }
+
+        const uploads = [];
+        const errors = [];
+        for (const file of files) {
+            const checked = await checkMaterialFile(file);
+            if (checked.error) {
+                errors.push({ file: file.name, error: checked.error });
+            } else {
+                uploads.push(checked.upload);
+            }
+        }
+        if (errors.length > 0) {
+            return corsResponse({ error: errors[0].error, errors }, 400);
+        }
+
+        const formattedDate = formatDate(date);
+        const passwordHash = password ? await hashPassword(password) : '';
+        const batchId = createBatchId('upload');
+
+        await storeMaterialFiles(env, uploads, batchId);
+
+        const statements = uploads.map(upload => env.DB.prepare(`
+            INSERT INTO materials (school, date, grade_level, course, title, link, description, password, publish_at, expires_at,
+                file_key, file_name, file_type, file_size, import_batch_id)
+            VALUES (?, ?, ?, ?, ?, '', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            school, formattedDate, resolvedGrade.grade, resolvedCourse.course, title || fileTitle(upload.name),
+            description || '', passwordHash, schedule.publish_at, schedule.expires_at,
+            upload.key, upload.name, upload.contentType, upload.size, batchId
+        ));
+        statements.push(
+            // The link needs the id, so it's filled in once the rows exist
+            env.DB.prepare(`
+                UPDATE materials SET link = '/api/materials/' || id || '/file' WHERE import_batch_id = ?
+            `).bind(batchId),
+            env.DB.prepare(`
+                INSERT INTO import_batches (id, imported_by, total_count, success_count, error_count, duplicate_count, status, summary, inserted_count, replaced_count)
+                VALUES (?, ?, ?, ?, 0, 0, 'completed', ?, ?, 0)
+            `).bind(
+                batchId,
+                importedBy,
+                uploads.length,
+                uploads.length,
+                JSON.stringify({
+                    schools: [school],
+                    grades: [resolvedGrade.grade],
+                    dateRange: { min: new Date(formattedDate).getTime(), max: new Date(formattedDate).getTime() },
+                    files: uploads.map(upload => upload.name)
+                }),
+                uploads.length
+            ),
+            env.DB.prepare(`SELECT ${MATERIAL_COLUMNS} FROM materials WHERE import_batch_id = ? ORDER BY id`).bind(batchId)
+        );
+
+        let results;
+        try {
+            results = await env.DB.batch(statements);
+        } catch (error) {
+            await deleteMaterialFiles(env, uploads.map(upload => upload.key));
+            throw error;
+        }
+
+        const materials = results[results.length - 1].results.map(material => toPublicMaterial(material, true));
+        return corsResponse({
+            success: true,
+            batchId,
+            message: `Uploaded ${materials.length} ${materials.length === 1 ? 'file' : 'files'}`,
+            materials
+        });
+    } catch (error) {
+        console.error('Error uploading materials:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// PUT /api/materials/:id - grade_level, course, publish_at and expires_at
+// are optional; a left out one keeps its current value
 async function handlePutMaterial(request, env, materialId) {
     try {
-        const { title, link, description, password } = await request.json();
+        const body = await request.json();
+        const { title, link, description, password, grade_level, course } = body;
 
         if (!title || !link) {
             return corsResponse({ error: 'Title and link are required' }, 400);
         }
 
+        const material = await env.DB.prepare(
+            'SELECT id, school, grade_level, course, publish_at, expires_at, file_key FROM materials WHERE id = ?'
+        ).bind(materialId).first();
+        if (!material) {
+            return corsResponse({ error: 'Material not found' }, 404);
+        }
+
+        let gradeLevel = material.grade_level;
+        if (grade_level !== undefined && grade_level !== null && grade_level !== '') {
+            const resolvedGrade = resolveGrade(await getSchoolByCode(env, material.school), grade_level);
+            if (resolvedGrade.error) {
+                return corsResponse({ error: resolvedGrade.error }, 400);
+            }
+            gradeLevel = resolvedGrade.grade;
+        }
+
+        const resolvedCourse = course === undefined ? { course: material.course } : parseCourse(course);
+        if (resolvedCourse.error) {
+            return corsResponse({ error: resolvedCourse.error }, 400);
+        }
+
+        const { schedule, error: scheduleError } = parseMaterialSchedule(body, material);
+        if (scheduleError) {
+            return corsResponse({ error: scheduleError }, 400);
+        }
+
+        // Pointing an uploaded file's material somewhere else lets the file go
+        const dropsFile = material.file_key && link !== fileLink(material.id);
+
+        // Omitted password keeps the current one (NULL below), empty string removes it
+        let passwordHash = null;
+        if (password !== undefined && password !== null) {
+            passwordHash = password ? await hashPassword(password) : '';
+        }
+
         await env.DB.prepare(`
             UPDATE materials 
-            SET title = ?, link = ?, description = ?, password = ?, updated_at = datetime('now')
+            SET title = ?, link = ?, description = ?, grade_level = ?, course = ?, publish_at = ?, expires_at = ?,
+                password = COALESCE(?, password),
+                ${dropsFile ? 'file_key = NULL, file_name = NULL, file_type = NULL, file_size = NULL,' : ''}
+                updated_at = datetime('now')
             WHERE id = ?
-        `).bind(title, link, description || '', password || '', materialId).run();
+        `).bind(
+            title, link, description || '', gradeLevel, resolvedCourse.course, schedule.publish_at, schedule.expires_at,
+            passwordHash, materialId
+        ).run();
+
+        if (dropsFile) {
+            await deleteMaterialFiles(env, [material.file_key]);
+        }
 
         const updatedMaterial = await env.DB.prepare(
-            'SELECT id, school, date, grade_level, title, link, description, password, created_at, updated_at FROM materials WHERE id = ?'
+            `SELECT ${MATERIAL_COLUMNS} FROM materials WHERE id = ?`
         ).bind(materialId).first();
 
         if (!updatedMaterial) {
             return corsResponse({ error: 'Material not found' }, 404);
         }
 
-        return corsResponse(updatedMaterial);
+        return corsResponse(toPublicMaterial(updatedMaterial, true));
     } catch (error) {
         console.error('Error updating material:', error);
         return corsResponse({ error: error.message }, 500);
     }
 }
 
+async function handleUnlockMaterial(request, env, materialId) {
+    try {
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return corsResponse({ error: 'Invalid JSON body' }, 400);
+        }
+
+        const { password } = body || {};
+        if (typeof password !== 'string' || !password) {
+            return corsResponse({ error: 'Password is required' }, 400);
+        }
+
+        const material = await env.DB.prepare(
+            'SELECT id, link, password, publish_at, expires_at, file_key FROM materials WHERE id = ?'
+        ).bind(materialId).first();
+
+        // A material students can't see yet (or any more) can't be unlocked either
+        if (!material || (!isMaterialVisible(material) && !(await getAdminSession(request, env)))) {
+            return corsResponse({ error: 'Material not found' }, 404);
+        }
+
+        // Guesses are limited per material and address
+        const attemptScope = `unlock:${material.id}:${clientAddress(request)}`;
+        if (material.password) {
+            const delay = await getRetryDelay(env, attemptScope);
+            if (delay > 0) {
+                return tooManyAttemptsResponse(delay, corsResponse);
+            }
+            if (!(await verifyPassword(password, material.password))) {
+                await recordFailedAttempt(env, attemptScope);
+                return corsResponse({ error: 'Incorrect password' }, 403);
+            }
+            await clearFailedAttempts(env, attemptScope);
+
+            // Hash a plaintext password left over from before migration 3
+            if (!isPasswordHash(material.password)) {
+                await env.DB.prepare('UPDATE materials SET password = ? WHERE id = ? AND password = ?')
+                    .bind(await hashPassword(password), material.id, material.password).run();
+            }
+        }
+
+        // An uploaded file's link carries a token that opens it for a few minutes
+        if (material.file_key && material.password) {
+            const token = await createDownloadToken(env, material.id);
+            return corsResponse({ id: material.id, link: `${fileLink(material.id)}?token=${encodeURIComponent(token)}` });
+        }
+
+        return corsResponse({ id: material.id, link: material.link });
+    } catch (error) {
+        console.error('Error unlocking material:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// GET /api/materials/:id/file - an uploaded file, to anyone who could see
+// the material's link: admins always, everyone else while it's published,
+// with a token from unlocking it if it's protected
+async function handleGetMaterialFile(request, env, url, materialId) {
+    try {
+        const material = await env.DB.prepare(
+            'SELECT id, password, publish_at, expires_at, file_key, file_name, file_type FROM materials WHERE id = ?'
+        ).bind(materialId).first();
+        if (!material || !material.file_key) {
+            return corsResponse({ error: 'File not found' }, 404);
+        }
+
+        const isAdmin = !!(await getAdminSession(request, env));
+        const visible = isMaterialVisible(material);
+        if (!visible && !isAdmin) {
+            return corsResponse({ error: 'File not found' }, 404);
+        }
+
+        if (material.password && !isAdmin &&
+            !(await verifyDownloadToken(env, material.id, url.searchParams.get('token')))) {
+            return corsResponse({ error: 'This material is password protected; unlock it to download the file' }, 403);
+        }
+
+        if (!env.MATERIAL_FILES) {
+            return corsResponse({ error: 'File storage is not configured' }, 500);
+        }
+
+        const response = await materialFileResponse(env, material, visible && !material.password, corsHeaders());
+        return response || corsResponse({ error: 'File not found' }, 404);
+    } catch (error) {
+        console.error('Error downloading material file:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
 async function handleDeleteMaterial(env, materialId) {
     try {
+        const material = await env.DB.prepare('SELECT file_key FROM materials WHERE id = ?').bind(materialId).first();
         const result = await env.DB.prepare('DELETE FROM materials WHERE id = ?').bind(materialId).run();
 
         if (result.changes === 0) {
             return corsResponse({ error: 'Material not found' }, 404);
         }
 
+        await deleteMaterialFiles(env, [material?.file_key]);
+
         return corsResponse({ success: true, id: parseInt(materialId) });
     } catch (error) {
         console.error('Error deleting material:', error);
@@ -815,4 +1969,87 @@ async function handleDeleteStaffLink(env, linkId) {
         console.error('Error deleting staff link:', error);
         return corsResponse({ error: error.message }, 500);
     }
-}
\ No newline at end of file
+}
+
+// CALENDAR FEED HANDLERS
+
+const FEED_SOURCES = ['events', 'daytypes', 'schedules'];
+const DEFAULT_FEED_SOURCES = ['events', 'daytypes'];
+
+async function handleGetCalendarFeed(env, url, school) {
+    try {
+        const schools = await getSchools(env);
+        const schoolRow = schools.find(row => row.code === school);
+        if (!schoolRow) {
+            return corsResponse({ error: schoolError(schools.map(row => row.code)) }, 400);
+        }
+
+        // ?include=events,daytypes,schedules - replaces the default sources when given
+        const includeParam = url.searchParams.get('include');
+        const include = includeParam
+            ? includeParam.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+            : DEFAULT_FEED_SOURCES;
+
+        const unknownSources = include.filter(source => !FEED_SOURCES.includes(source));
+        if (unknownSources.length > 0) {
+            return corsResponse({
+                error: `Unknown include value(s): ${unknownSources.join(', ')}`,
+                allowed: FEED_SOURCES
+            }, 400);
+        }
+
+        // ?department=Athletics,Music
+        const departments = (url.searchParams.get('department') || '')
+            .split(',')
+            .map(d => d.trim())
+            .filter(Boolean);
+
+        let events = [];
+        if (include.includes('events')) {
+            let query = 'SELECT id, date, end_date, title, department, time, end_time, all_day, location, description FROM events WHERE school = ? AND recurrence IS NULL';
+            const params = [school];
+            if (departments.length > 0) {
+                query += ` AND department IN (${departments.map(() => '?').join(', ')})`;
+                params.push(...departments);
+            }
+            query += ' ORDER BY date, time, id';
+            events = (await env.DB.prepare(query).bind(...params).all()).results;
+
+            // Each occurrence of a recurring event is its own entry
+            const occurrences = await getEventOccurrences(env, school, { departments });
+            events = events.concat(occurrences).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        }
+
+        let dayTypes = [];
+        if (include.includes('daytypes')) {
+            const [rows, definitions] = await Promise.all([
+                getDayRows(env, 'day_types', 'type', school),
+                getDayTypeDefinitions(env)
+            ]);
+            dayTypes = rows.map(row => ({ ...dayTypeInfo(definitions, row.type), date: row.date }));
+        }
+
+        const schedules = include.includes('schedules')
+            ? await getDayRows(env, 'day_schedules', 'schedule', school)
+            : [];
+
+        const schoolName = schoolRow.name;
+        const calendarName = departments.length > 0
+            ? `${schoolName} - ${departments.join(', ')}`
+            : `${schoolName} Calendar`;
+
+        const feed = buildCalendarFeed({ school, calendarName, events, dayTypes, schedules });
+
+        return new Response(feed, {
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': `inline; filename="${school}.ics"`,
+                'Cache-Control': 'public, max-age=900',
+                ...corsHeaders()
+            }
+        });
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
@@ -0,0 +1,166 @@
+// src/list-query.js
+// Shared date-range filtering, field selection and keyset pagination for the
+// list endpoints (events, materials, day schedules, day types)
+//
+// Query parameters understood by every list endpoint:
+//   from, to   YYYY-MM-DD, inclusive
+//   limit      page size (1-1000); omit to get every matching row
+//   cursor     opaque value from the previous page's X-Next-Cursor header
+//   fields     comma-separated columns to return, e.g. fields=id,date,title
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 1000;
+
+// Cursors are the sort-key values of the last row, as base64url JSON
+function encodeCursor(values) {
+    const bytes = new TextEncoder().encode(JSON.stringify(values));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, length) {
+    try {
+        const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const values = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        return Array.isArray(values) && values.length === length ? values : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Split a comma-separated query parameter into trimmed, non-empty values
+export function parseListParam(url, name) {
+    return (url.searchParams.get(name) || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+// Validate the shared list parameters. `sortKey` is the list of
+// { sql, value } pairs the endpoint orders by - the SQL expression and how to
+// read the same value back off a result row - and must end in a unique column.
+// Returns { error } for bad input.
+export function parseListOptions(url, { fields: allowedFields, sortKey }) {
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && !DATE_PATTERN.test(value)) {
+            return { error: `${name} must be a date in YYYY-MM-DD format` };
+        }
+    }
+    if (from && to && from > to) {
+        return { error: 'from must be on or before to' };
+    }
+
+    let limit = null;
+    const limitParam = url.searchParams.get('limit');
+    if (limitParam !== null) {
+        limit = parseInt(limitParam);
+        if (!/^\d+$/.test(limitParam) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+        }
+    }
+
+    let cursor = null;
+    const cursorParam = url.searchParams.get('cursor');
+    if (cursorParam) {
+        cursor = decodeCursor(cursorParam, sortKey.length);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    const fields = parseListParam(url, 'fields');
+    const unknownFields = fields.filter(field => !allowedFields.includes(field));
+    if (unknownFields.length > 0) {
+        return { error: `Unknown field(s): ${unknownFields.join(', ')}. Allowed: ${allowedFields.join(', ')}` };
+    }
+
+    return { from, to, limit, cursor, fields, sortKey };
+}
+
+// Options for internal callers that want every row in order
+export function allRowsOptions(sortKey) {
+    return { from: null, to: null, limit: null, cursor: null, fields: [], sortKey };
+}
+
+// Build the final SELECT. `where`/`params` carry the endpoint's own filters;
+// the date range, cursor, ordering and limit are appended here. Rows that span
+// several days pass their last day as `endDateColumn`, and match when they
+// overlap the range.
+export function buildListQuery({ select, where = [], params = [], dateColumn = 'date', endDateColumn = dateColumn }, options) {
+    const conditions = [...where];
+    const values = [...params];
+
+    if (options.from) {
+        conditions.push(`${endDateColumn} >= ?`);
+        values.push(options.from);
+    }
+    if (options.to) {
+        conditions.push(`${dateColumn} <= ?`);
+        values.push(options.to);
+    }
+    if (options.cursor) {
+        const columns = options.sortKey.map(key => key.sql).join(', ');
+        conditions.push(`(${columns}) > (${options.sortKey.map(() => '?').join(', ')})`);
+        values.push(...options.cursor);
+    }
+
+    let sql = select;
+    if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ` ORDER BY ${options.sortKey.map(key => key.sql).join(', ')}`;
+    if (options.limit) {
+        // One extra row tells us whether there is another page
+        sql += ' LIMIT ?';
+        values.push(options.limit + 1);
+    }
+
+    return { sql, params: values };
+}
+
+function compareSortValues(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+// Merge rows built outside SQL (recurring event occurrences) into rows read
+// with buildListQuery: the cursor is applied to them, everything is put in
+// sort-key order and, like the query, one row past the limit is kept.
+export function mergeListRows(rows, extraRows, options) {
+    const sortValues = row => options.sortKey.map(key => key.value(row));
+    const extra = options.cursor
+        ? extraRows.filter(row => compareSortValues(sortValues(row), options.cursor) > 0)
+        : extraRows;
+
+    const merged = [...rows, ...extra].sort((a, b) => compareSortValues(sortValues(a), sortValues(b)));
+    return options.limit !== null ? merged.slice(0, options.limit + 1) : merged;
+}
+
+// Trim the look-ahead row, work out the next cursor and apply field selection.
+// Returns { items, headers } - headers carries X-Next-Cursor when there is more.
+export function paginate(rows, options) {
+    const hasMore = options.limit !== null && rows.length > options.limit;
+    const pageRows = hasMore ? rows.slice(0, options.limit) : rows;
+
+    const headers = {};
+    if (hasMore) {
+        const last = pageRows[pageRows.length - 1];
+        headers['X-Next-Cursor'] = encodeCursor(options.sortKey.map(key => key.value(last)));
+    }
+
+    const items = options.fields.length > 0
+        ? pageRows.map(row => Object.fromEntries(options.fields.map(field => [field, row[field]])))
+        : pageRows;
+
+    return { items, headers };
+}
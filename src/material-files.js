@@ -0,0 +1,152 @@
+// src/material-files.js
+// Files uploaded for materials, kept in the MATERIAL_FILES R2 bucket
+//
+// POST /api/materials/upload    multipart form with one or more `file` fields
+//                               and the material's school, date and
+//                               grade_level; each file becomes a material
+// GET  /api/materials/:id/file  the file, served by the Worker
+//
+// A material made from a file links to its download route, so the calendars
+// open it like any other link. The route follows the material: hidden before
+// publish_at and after expires_at except to admins, and a protected
+// material's file needs an admin session or the short-lived ?token= that
+// unlocking it adds to the link. Deleting the material, or undoing the upload
+// that made it, deletes the object.
+
+// What can be uploaded, by extension. The stored type comes from here rather
+// than from the browser, and the file has to start with one of `signatures`.
+const FILE_TYPES = {
+    pdf: { contentType: 'application/pdf', inline: true, signatures: ['%PDF-'] },
+    ppt: { contentType: 'application/vnd.ms-powerpoint', signatures: ['\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1'] },
+    pptx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        signatures: ['PK\x03\x04']
+    },
+    odp: { contentType: 'application/vnd.oasis.opendocument.presentation', signatures: ['PK\x03\x04'] },
+    png: { contentType: 'image/png', inline: true, signatures: ['\x89PNG\r\n\x1a\n'] },
+    jpg: { contentType: 'image/jpeg', inline: true, signatures: ['\xff\xd8\xff'] },
+    jpeg: { contentType: 'image/jpeg', inline: true, signatures: ['\xff\xd8\xff'] },
+    gif: { contentType: 'image/gif', inline: true, signatures: ['GIF87a', 'GIF89a'] },
+    webp: { contentType: 'image/webp', inline: true, signatures: ['RIFF'] }
+};
+
+export const MAX_FILE_BYTES = 20 * 1024 * 1024;
+export const MAX_FILES_PER_UPLOAD = 10;
+
+// Largest request read, form fields included. The form is read into memory,
+// which a Worker has 128 MB of (and Cloudflare turns away bodies over
+// 100 MB), so a few large files take more than one upload.
+export const MAX_UPLOAD_BYTES = 40 * 1024 * 1024;
+
+export const FILE_EXTENSIONS = Object.keys(FILE_TYPES);
+
+export function fileLink(materialId) {
+    return `/api/materials/${materialId}/file`;
+}
+
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} bytes`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+}
+
+function fileExtension(name) {
+    const match = String(name || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+}
+
+// The file's name without its extension, as a default title
+export function fileTitle(name) {
+    return String(name || '').replace(/\.[^.]+$/, '').replace(/_+/g, ' ').trim() || 'Untitled file';
+}
+
+// Check an uploaded File against the size and type limits. Returns
+// { upload } - its name, size, content type and a fresh object key - or
+// { error }.
+export async function checkMaterialFile(file) {
+    const name = String(file.name || '').trim();
+    const extension = fileExtension(name);
+    const type = FILE_TYPES[extension];
+    if (!type) {
+        return { error: `${name || 'File'}: only ${FILE_EXTENSIONS.join(', ')} files can be uploaded` };
+    }
+    if (file.size === 0) {
+        return { error: `${name} is empty` };
+    }
+    if (file.size > MAX_FILE_BYTES) {
+        return { error: `${name} is over the ${formatFileSize(MAX_FILE_BYTES)} limit for a file` };
+    }
+
+    const head = String.fromCharCode(...new Uint8Array(await file.slice(0, 16).arrayBuffer()));
+    const matches = type.signatures.some(signature => head.startsWith(signature)) &&
+        (extension !== 'webp' || head.slice(8, 12) === 'WEBP');
+    if (!matches) {
+        return { error: `${name} is not a ${extension} file` };
+    }
+
+    return {
+        upload: {
+            file,
+            name,
+            size: file.size,
+            contentType: type.contentType,
+            key: `materials/${crypto.randomUUID()}.${extension}`
+        }
+    };
+}
+
+// Store checked uploads; if one fails, the ones already stored are removed
+export async function storeMaterialFiles(env, uploads, batchId) {
+    const stored = [];
+    try {
+        for (const upload of uploads) {
+            await env.MATERIAL_FILES.put(upload.key, upload.file, {
+                httpMetadata: { contentType: upload.contentType },
+                customMetadata: { fileName: upload.name, batchId }
+            });
+            stored.push(upload.key);
+        }
+    } catch (error) {
+        await deleteMaterialFiles(env, stored);
+        throw error;
+    }
+}
+
+// Delete objects whose materials are gone. Failures are only logged: the
+// rows have already been deleted, and an orphaned object can't be reached.
+export async function deleteMaterialFiles(env, keys) {
+    const present = keys.filter(Boolean);
+    if (present.length === 0 || !env.MATERIAL_FILES) return;
+
+    try {
+        await env.MATERIAL_FILES.delete(present);
+    } catch (error) {
+        console.error('Error deleting material files:', present, error);
+    }
+}
+
+// Content-Disposition for a download: PDFs and images open in the browser,
+// slides download under their original name
+function contentDisposition(name, contentType) {
+    const inline = Object.values(FILE_TYPES).some(type => type.inline && type.contentType === contentType);
+    const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+// The response for GET /api/materials/:id/file, or null if the object is
+// missing. Only files anyone may see (`isPublic`) are cached along the way.
+export async function materialFileResponse(env, material, isPublic, extraHeaders) {
+    const object = await env.MATERIAL_FILES.get(material.file_key);
+    if (!object) return null;
+
+    return new Response(object.body, {
+        headers: {
+            'Content-Type': material.file_type,
+            'Content-Length': String(object.size),
+            'Content-Disposition': contentDisposition(material.file_name, material.file_type),
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': isPublic ? 'public, max-age=300' : 'private, no-store',
+            ...extraHeaders
+        }
+    });
+}
@@ -0,0 +1,88 @@
+// src/material-schedule.js
+// When students can see a material
+//
+//   publish_at  hidden until then; NULL shows it as soon as it's added
+//   expires_at  hidden again from then on; NULL keeps it up
+//
+// Both are Pacific wall-clock times stored as "YYYY-MM-DDTHH:MM" (the form a
+// datetime-local input gives), so they compare as text against
+// nowInPacific(). Requests and CSV rows may also use a space and times such
+// as "7:30 AM", or give just a date, meaning midnight at its start.
+//
+// Admins see every material. Everyone else gets only the visible ones, and
+// the calendar tells them how many of a day's materials are still to come
+// without saying what they are.
+
+import { parseEventTime } from './ics.js';
+
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ]\s*(.+))?$/;
+
+// Fields parseMaterialSchedule settles, in column order
+export const MATERIAL_SCHEDULE_FIELDS = ['publish_at', 'expires_at'];
+
+// SQL conditions on a materials row at a time from nowInPacific(); bind it
+// once per ?
+export const MATERIAL_VISIBLE = '(publish_at IS NULL OR publish_at <= ?) AND (expires_at IS NULL OR expires_at > ?)';
+export const MATERIAL_UPCOMING = 'publish_at > ?';
+
+// MATERIAL_VISIBLE for a row already read
+export function isMaterialVisible(material, now = nowInPacific()) {
+    return !(material.publish_at && material.publish_at > now) && !(material.expires_at && material.expires_at <= now);
+}
+
+// The time now in the district's time zone, as "YYYY-MM-DDTHH:MM"
+export function nowInPacific() {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: 'America/Los_Angeles',
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(new Date()).forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+function isValidDate(dateStr) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(dateStr);
+}
+
+// "YYYY-MM-DDTHH:MM" for a date and optional time, null for blank, or
+// undefined if it can't be read
+function parseDateTime(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text === '') return null;
+
+    const match = text.match(DATE_TIME_PATTERN);
+    if (!match || !isValidDate(match[1])) return undefined;
+    if (!match[2]) return `${match[1]}T00:00`;
+
+    const time = parseEventTime(match[2].replace(/^(\d{1,2}:\d{2}):\d{2}$/, '$1'));
+    if (!time) return undefined;
+    return `${match[1]}T${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+}
+
+// Validate publish_at and expires_at from a request body or CSV row,
+// falling back to `current` for any left out. Returns { schedule } with both
+// as they are stored, or { error }.
+export function parseMaterialSchedule(body, current = {}) {
+    const schedule = {};
+    for (const field of MATERIAL_SCHEDULE_FIELDS) {
+        if (body[field] === undefined) {
+            schedule[field] = current[field] ?? null;
+            continue;
+        }
+        schedule[field] = parseDateTime(body[field]);
+        if (schedule[field] === undefined) {
+            return { error: `${field} must be a date and time such as 2025-09-15 07:30` };
+        }
+    }
+
+    if (schedule.publish_at && schedule.expires_at && schedule.expires_at <= schedule.publish_at) {
+        return { error: 'expires_at must be after publish_at' };
+    }
+    return { schedule };
+}
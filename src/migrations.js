@@ -0,0 +1,627 @@
+// src/migrations.js
+// Versioned D1 schema migrations for the WLWV Calendar
+//
+// Every schema change is a numbered migration. A migration's up(db) may read
+// the database, then returns the statements that make the change; those
+// statements run in one D1 batch together with the schema_migrations insert,
+// so a migration is either fully applied and recorded or not applied at all.
+//
+// Never edit a migration that has shipped - add a new one to the end instead.
+
+import { hashPassword, isPasswordHash } from './auth.js';
+
+// Columns of a table, via PRAGMA table_info
+async function getColumns(db, table) {
+    const result = await db.prepare(`PRAGMA table_info(${table})`).all();
+    return result.results.map(column => column.name);
+}
+
+// ALTER TABLE ... ADD COLUMN, or nothing if the column is already there
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await getColumns(db, table);
+    return columns.includes(column)
+        ? []
+        : [db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)];
+}
+
+// Rebuild `table` from its own CREATE statement with `pattern` (e.g. a CHECK
+// constraint) taken out, keeping its rows and indexes; nothing if the
+// pattern isn't there
+async function rebuildTableWithout(db, table, pattern) {
+    const objects = (await db.prepare(
+        'SELECT type, sql FROM sqlite_master WHERE tbl_name = ? AND sql IS NOT NULL'
+    ).bind(table).all()).results;
+    const create = objects.find(object => object.type === 'table');
+    if (!create || !pattern.test(create.sql)) return [];
+
+    const columns = (await getColumns(db, table)).join(', ');
+    return [
+        db.prepare(create.sql.replace(pattern, '').replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${table}_new`)),
+        db.prepare(`INSERT INTO ${table}_new (${columns}) SELECT ${columns} FROM ${table}`),
+        db.prepare(`DROP TABLE ${table}`),
+        db.prepare(`ALTER TABLE ${table}_new RENAME TO ${table}`),
+        ...objects.filter(object => object.type === 'index').map(object => db.prepare(object.sql))
+    ];
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS day_schedules (
+                        date TEXT PRIMARY KEY,
+                        schedule TEXT NOT NULL CHECK (schedule IN ('A', 'B')),
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS day_types (
+                        date TEXT PRIMARY KEY,
+                        type TEXT NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS events (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        school TEXT NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
+                        date TEXT NOT NULL,
+                        title TEXT NOT NULL,
+                        department TEXT,
+                        time TEXT,
+                        description TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS materials (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        school TEXT NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
+                        date TEXT NOT NULL,
+                        grade_level INTEGER NOT NULL CHECK (grade_level BETWEEN 9 AND 12),
+                        title TEXT NOT NULL,
+                        link TEXT NOT NULL,
+                        description TEXT DEFAULT '',
+                        password TEXT DEFAULT '',
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_events_school_date ON events(school, date)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_materials_school_date_grade ON materials(school, date, grade_level)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_events_date ON events(date)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_materials_date ON materials(date)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_day_schedules_date ON day_schedules(date)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_day_types_date ON day_types(date)')
+            ];
+        }
+    },
+    {
+        version: 2,
+        name: 'bulk_import_batches',
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS import_batches (
+                        id TEXT PRIMARY KEY,
+                        imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        imported_by TEXT,
+                        total_count INTEGER NOT NULL,
+                        success_count INTEGER NOT NULL,
+                        error_count INTEGER NOT NULL,
+                        duplicate_count INTEGER NOT NULL,
+                        status TEXT NOT NULL,
+                        summary TEXT
+                    )
+                `),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS events_import_batches (
+                        id TEXT PRIMARY KEY,
+                        imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        imported_by TEXT,
+                        total_count INTEGER NOT NULL,
+                        success_count INTEGER NOT NULL,
+                        error_count INTEGER NOT NULL,
+                        duplicate_count INTEGER NOT NULL,
+                        status TEXT NOT NULL,
+                        summary TEXT
+                    )
+                `),
+                ...await addColumnIfMissing(db, 'materials', 'import_batch_id', 'TEXT'),
+                ...await addColumnIfMissing(db, 'events', 'import_batch_id', 'TEXT'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_materials_school_grade_link ON materials(school, grade_level, link)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_materials_import_batch ON materials(import_batch_id)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_events_school_date_title ON events(school, date, title)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_events_import_batch ON events(import_batch_id)')
+            ];
+        }
+    },
+    {
+        version: 3,
+        name: 'hash_material_passwords',
+        // Rows sharing a password share one hash so large tables don't repeat
+        // the expensive derivation
+        async up(db) {
+            const result = await db.prepare(
+                "SELECT id, password FROM materials WHERE password IS NOT NULL AND password != ''"
+            ).all();
+
+            const hashes = new Map();
+            const statements = [];
+            for (const row of result.results.filter(row => !isPasswordHash(row.password))) {
+                if (!hashes.has(row.password)) {
+                    hashes.set(row.password, await hashPassword(row.password));
+                }
+                statements.push(
+                    db.prepare('UPDATE materials SET password = ? WHERE id = ?').bind(hashes.get(row.password), row.id)
+                );
+            }
+            return statements;
+        }
+    },
+    {
+        version: 4,
+        name: 'school_specific_day_tables',
+        // Re-key day_schedules and day_types by (school, date); existing rows
+        // become district-wide values
+        async up(db) {
+            const tables = [
+                { name: 'day_schedules', value: 'schedule', definition: "schedule TEXT NOT NULL CHECK (schedule IN ('A', 'B'))" },
+                { name: 'day_types', value: 'type', definition: 'type TEXT NOT NULL' }
+            ];
+            const statements = [];
+
+            for (const table of tables) {
+                if ((await getColumns(db, table.name)).includes('school')) continue;
+
+                statements.push(
+                    db.prepare(`
+                        CREATE TABLE ${table.name}_new (
+                            school TEXT NOT NULL DEFAULT 'district' CHECK (school IN ('district', 'wlhs', 'wvhs')),
+                            date TEXT NOT NULL,
+                            ${table.definition},
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            PRIMARY KEY (school, date)
+                        )
+                    `),
+                    db.prepare(`
+                        INSERT INTO ${table.name}_new (school, date, ${table.value}, created_at, updated_at)
+                        SELECT 'district', date, ${table.value}, created_at, updated_at FROM ${table.name}
+                    `),
+                    db.prepare(`DROP TABLE ${table.name}`),
+                    db.prepare(`ALTER TABLE ${table.name}_new RENAME TO ${table.name}`),
+                    db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table.name}_date ON ${table.name}(date, school)`)
+                );
+            }
+            return statements;
+        }
+    },
+    {
+        version: 5,
+        name: 'staff_links',
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS staff_links (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        title TEXT NOT NULL,
+                        url TEXT NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `)
+            ];
+        }
+    },
+    {
+        version: 6,
+        name: 'calendar_batches',
+        // Undo log for operations that rewrite the calendar in bulk (see
+        // calendar-batches.js)
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS calendar_batches (
+                        id TEXT PRIMARY KEY,
+                        kind TEXT NOT NULL,
+                        school TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        created_by TEXT,
+                        change_count INTEGER NOT NULL,
+                        status TEXT NOT NULL,
+                        summary TEXT
+                    )
+                `),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS calendar_batch_changes (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        batch_id TEXT NOT NULL,
+                        target TEXT NOT NULL CHECK (target IN ('day_schedules', 'day_types', 'materials')),
+                        school TEXT NOT NULL,
+                        date TEXT NOT NULL,
+                        record_id INTEGER,
+                        previous_value TEXT,
+                        new_value TEXT
+                    )
+                `),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_calendar_batch_changes_batch ON calendar_batch_changes(batch_id)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_calendar_batches_created ON calendar_batches(created_at)')
+            ];
+        }
+    },
+    {
+        version: 7,
+        name: 'events_import_snapshots',
+        // The row an events import replaced, as JSON, so undo can put it back.
+        // Batches from before this migration have no snapshots and counts.
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS events_import_snapshots (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        batch_id TEXT NOT NULL,
+                        event_id INTEGER NOT NULL,
+                        previous_row TEXT NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_events_import_snapshots_batch ON events_import_snapshots(batch_id)'),
+                ...await addColumnIfMissing(db, 'events_import_batches', 'inserted_count', 'INTEGER'),
+                ...await addColumnIfMissing(db, 'events_import_batches', 'replaced_count', 'INTEGER')
+            ];
+        }
+    },
+    {
+        version: 8,
+        name: 'materials_import_snapshots',
+        // Same as events_import_snapshots, for materials imports that update
+        // existing materials
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS materials_import_snapshots (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        batch_id TEXT NOT NULL,
+                        material_id INTEGER NOT NULL,
+                        previous_row TEXT NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_materials_import_snapshots_batch ON materials_import_snapshots(batch_id)'),
+                ...await addColumnIfMissing(db, 'import_batches', 'inserted_count', 'INTEGER'),
+                ...await addColumnIfMissing(db, 'import_batches', 'replaced_count', 'INTEGER')
+            ];
+        }
+    },
+    {
+        version: 9,
+        name: 'recurring_events',
+        // events.recurrence holds a series' rule as JSON (see recurrence.js);
+        // event_exceptions cancels or overrides single occurrences, keyed by
+        // the date the rule generated. NULL override columns keep the series
+        // value.
+        async up(db) {
+            return [
+                ...await addColumnIfMissing(db, 'events', 'recurrence', 'TEXT'),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS event_exceptions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        event_id INTEGER NOT NULL,
+                        occurrence_date TEXT NOT NULL,
+                        is_cancelled INTEGER NOT NULL DEFAULT 0,
+                        date TEXT,
+                        title TEXT,
+                        department TEXT,
+                        time TEXT,
+                        description TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (event_id, occurrence_date)
+                    )
+                `)
+            ];
+        }
+    },
+    {
+        version: 10,
+        name: 'event_details',
+        // Multi-day events (end_date, inclusive), end times, all-day events
+        // and locations; see event-details.js. Exceptions can override them
+        // like the other fields.
+        async up(db) {
+            return [
+                ...await addColumnIfMissing(db, 'events', 'end_date', 'TEXT'),
+                ...await addColumnIfMissing(db, 'events', 'end_time', 'TEXT'),
+                ...await addColumnIfMissing(db, 'events', 'all_day', 'INTEGER NOT NULL DEFAULT 0'),
+                ...await addColumnIfMissing(db, 'events', 'location', 'TEXT'),
+                ...await addColumnIfMissing(db, 'event_exceptions', 'end_date', 'TEXT'),
+                ...await addColumnIfMissing(db, 'event_exceptions', 'end_time', 'TEXT'),
+                ...await addColumnIfMissing(db, 'event_exceptions', 'all_day', 'INTEGER'),
+                ...await addColumnIfMissing(db, 'event_exceptions', 'location', 'TEXT')
+            ];
+        }
+    },
+    {
+        version: 11,
+        name: 'departments',
+        // Event departments, until now a fixed list in the code; see
+        // departments.js. Seeded with that list district-wide, plus (in
+        // grey) any other department existing events already use.
+        async up(db) {
+            const defaults = [
+                ['ASB', '#f59e0b'],
+                ['Life', '#10b981'],
+                ['Athletics', '#3b82f6'],
+                ['Art/Theater', '#8b5cf6'],
+                ['Counseling', '#06b6d4'],
+                ['Testing', '#ef4444'],
+                ['Staff', '#64748b']
+            ];
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS departments (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        school TEXT NOT NULL DEFAULT 'district',
+                        name TEXT NOT NULL,
+                        color TEXT NOT NULL,
+                        sort_order INTEGER NOT NULL DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (school, name)
+                    )
+                `),
+                db.prepare(`
+                    INSERT OR IGNORE INTO departments (school, name, color, sort_order)
+                    VALUES ${defaults.map(() => "('district', ?, ?, ?)").join(', ')}
+                `).bind(...defaults.flatMap(([name, color], index) => [name, color, index + 1])),
+                db.prepare(`
+                    INSERT OR IGNORE INTO departments (school, name, color, sort_order)
+                    SELECT 'district', MIN(TRIM(department)), '#6b7280', ${defaults.length + 1}
+                    FROM events
+                    WHERE TRIM(COALESCE(department, '')) != ''
+                        AND lower(TRIM(department)) NOT IN (SELECT lower(name) FROM departments)
+                    GROUP BY lower(TRIM(department))
+                `)
+            ];
+        }
+    },
+    {
+        version: 12,
+        name: 'day_type_definitions',
+        // What each day type means and how it looks, until now a few lists
+        // of names in the code; see day-types.js. Seeded with the types the
+        // admin calendar offered, plus FURLOUGH, and any other type already
+        // set on a date as a grey school day. Stored types are upper-cased
+        // to match.
+        async up(db) {
+            const defaults = [
+                // type, color, icon, is_instructional, students_attend, staff_attend, is_early_release
+                ['ACCESS', '#3b82f6', '📘', 1, 1, 1, 0],
+                ['GRADING', '#8b5cf6', '📝', 1, 1, 1, 0],
+                ['FINALS', '#10b981', '📚', 1, 1, 1, 0],
+                ['HOLIDAY', '#ef4444', '🎉', 0, 0, 0, 0],
+                ['NO SCHOOL', '#f59e0b', '🚫', 0, 0, 0, 0],
+                ['STAFF DEVELOPMENT', '#06b6d4', '🏫', 0, 0, 1, 0],
+                ['EARLY RELEASE', '#f59e0b', '⏰', 1, 1, 1, 1],
+                ['SNOW DAY', '#60a5fa', '❄️', 0, 0, 0, 0],
+                ['FURLOUGH', '#6b7280', '🏠', 0, 0, 0, 0]
+            ];
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS day_type_definitions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        type TEXT NOT NULL UNIQUE,
+                        label TEXT NOT NULL,
+                        color TEXT NOT NULL,
+                        icon TEXT,
+                        is_instructional INTEGER NOT NULL DEFAULT 1,
+                        students_attend INTEGER NOT NULL DEFAULT 1,
+                        staff_attend INTEGER NOT NULL DEFAULT 1,
+                        is_early_release INTEGER NOT NULL DEFAULT 0,
+                        sort_order INTEGER NOT NULL DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare(`
+                    INSERT OR IGNORE INTO day_type_definitions (
+                        type, label, color, icon, is_instructional, students_attend, staff_attend, is_early_release, sort_order
+                    )
+                    VALUES ${defaults.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                `).bind(...defaults.flatMap(([type, ...rest], index) => [type, type, ...rest, index + 1])),
+                db.prepare("UPDATE day_types SET type = UPPER(TRIM(type)) WHERE type != UPPER(TRIM(type))"),
+                db.prepare(`
+                    INSERT OR IGNORE INTO day_type_definitions (type, label, color, sort_order)
+                    SELECT DISTINCT type, type, '#6b7280', ${defaults.length + 1}
+                    FROM day_types
+                    WHERE type != ''
+                `)
+            ];
+        }
+    },
+    {
+        version: 13,
+        name: 'schools',
+        // The school buildings, until now West Linn and Wilsonville written
+        // into the code and CHECK constraints; see schools.js. The CHECKs on
+        // events, materials, day_schedules and day_types go, and the two
+        // high schools are seeded with the branding the calendars used.
+        async up(db) {
+            const schoolCheck = /\s*CHECK\s*\(\s*school\s+IN\s*\([^)]*\)\s*\)/i;
+            const schools = [
+                {
+                    code: 'wlhs', name: 'West Linn High School', short_name: 'West Linn', mascot: 'Lions', slug: 'lions',
+                    primary_color: '#0f4a2b', secondary_color: '#1f6b47', icon: '🦁', website_url: null,
+                    logo_url: 'https://pbs.twimg.com/profile_images/1894895031833726976/9f9O-2DF_400x400.jpg'
+                },
+                {
+                    code: 'wvhs', name: 'Wilsonville High School', short_name: 'Wilsonville', mascot: 'Wildcats', slug: 'wildcats',
+                    primary_color: '#1e3a8a', secondary_color: '#3b82f6', icon: '🐱', logo_url: 'wildcat.png',
+                    website_url: 'https://sites.google.com/wlwv.k12.or.us/wilsonville-hs/home'
+                }
+            ];
+            const fields = ['code', 'name', 'short_name', 'mascot', 'slug', 'primary_color', 'secondary_color', 'logo_url', 'icon', 'website_url'];
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS schools (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        code TEXT NOT NULL UNIQUE,
+                        name TEXT NOT NULL,
+                        short_name TEXT,
+                        mascot TEXT,
+                        slug TEXT NOT NULL UNIQUE,
+                        primary_color TEXT NOT NULL,
+                        secondary_color TEXT NOT NULL,
+                        logo_url TEXT,
+                        icon TEXT,
+                        website_url TEXT,
+                        grade_min INTEGER NOT NULL DEFAULT 9,
+                        grade_max INTEGER NOT NULL DEFAULT 12,
+                        sort_order INTEGER NOT NULL DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `),
+                db.prepare(`
+                    INSERT OR IGNORE INTO schools (${fields.join(', ')}, sort_order)
+                    VALUES ${schools.map(() => `(${fields.map(() => '?').join(', ')}, ?)`).join(', ')}
+                `).bind(...schools.flatMap((school, index) => [...fields.map(field => school[field]), index + 1])),
+                ...await rebuildTableWithout(db, 'events', schoolCheck),
+                ...await rebuildTableWithout(db, 'materials', schoolCheck),
+                ...await rebuildTableWithout(db, 'day_schedules', schoolCheck),
+                ...await rebuildTableWithout(db, 'day_types', schoolCheck)
+            ];
+        }
+    },
+    {
+        version: 14,
+        name: 'material_courses',
+        // Materials' grade levels follow their school's grade_min..grade_max
+        // instead of a 9-12 CHECK, and a material can name a course or
+        // subject (Algebra 1, AP Lit) to group by within a grade
+        async up(db) {
+            return [
+                ...await rebuildTableWithout(db, 'materials', /\s*CHECK\s*\(\s*grade_level\s+BETWEEN\s+\d+\s+AND\s+\d+\s*\)/i),
+                ...await addColumnIfMissing(db, 'materials', 'course', 'TEXT'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_materials_school_course ON materials(school, course)')
+            ];
+        }
+    },
+    {
+        version: 15,
+        name: 'material_schedule',
+        // Optional Pacific "YYYY-MM-DDTHH:MM" times a material is shown to
+        // students from and until (see material-schedule.js)
+        async up(db) {
+            return [
+                ...await addColumnIfMissing(db, 'materials', 'publish_at', 'TEXT'),
+                ...await addColumnIfMissing(db, 'materials', 'expires_at', 'TEXT')
+            ];
+        }
+    },
+    {
+        version: 16,
+        name: 'material_files',
+        // Materials uploaded as files: the R2 object key plus the original
+        // name, type and size (see material-files.js)
+        async up(db) {
+            return [
+                ...await addColumnIfMissing(db, 'materials', 'file_key', 'TEXT'),
+                ...await addColumnIfMissing(db, 'materials', 'file_name', 'TEXT'),
+                ...await addColumnIfMissing(db, 'materials', 'file_type', 'TEXT'),
+                ...await addColumnIfMissing(db, 'materials', 'file_size', 'INTEGER')
+            ];
+        }
+    },
+    {
+        version: 17,
+        name: 'failed_attempts',
+        // Wrong admin and material passwords, by address, so guessing can
+        // be slowed down (see auth.js)
+        async up(db) {
+            return [
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS failed_attempts (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        scope TEXT NOT NULL,
+                        attempted_at INTEGER NOT NULL
+                    )
+                `),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_failed_attempts_scope ON failed_attempts(scope, attempted_at)'),
+                db.prepare('CREATE INDEX IF NOT EXISTS idx_failed_attempts_time ON failed_attempts(attempted_at)')
+            ];
+        }
+    }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function getAppliedMigrations(db) {
+    const table = await db.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+    ).first();
+    if (!table) return [];
+
+    const result = await db.prepare(
+        'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    ).all();
+    return result.results;
+}
+
+// Read-only summary used by /api/health
+export async function getSchemaStatus(db) {
+    const applied = await getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(migration => migration.version));
+    const current = applied.length > 0 ? applied[applied.length - 1] : null;
+
+    return {
+        version: current ? current.version : 0,
+        latestVersion: LATEST_SCHEMA_VERSION,
+        upToDate: MIGRATIONS.every(migration => appliedVersions.has(migration.version)),
+        lastAppliedAt: current ? current.applied_at : null,
+        pending: MIGRATIONS
+            .filter(migration => !appliedVersions.has(migration.version))
+            .map(({ version, name }) => ({ version, name }))
+    };
+}
+
+// Apply every pending migration in order; returns the ones that ran
+export async function applyPendingMigrations(db) {
+    await db.prepare(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
+
+    const appliedVersions = new Set((await getAppliedMigrations(db)).map(migration => migration.version));
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+        if (appliedVersions.has(migration.version)) continue;
+
+        console.log(`Applying migration ${migration.version}: ${migration.name}`);
+        const statements = await migration.up(db);
+
+        try {
+            await db.batch([
+                ...statements,
+                db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').bind(migration.version, migration.name)
+            ]);
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+}
@@ -0,0 +1,247 @@
+// src/recurrence.js
+// Recurring events
+//
+// A recurring event is a single `events` row: its `date` is the first
+// occurrence and its `recurrence` column holds the rule as JSON.
+//   {
+//     "frequency": "weekly" | "biweekly" | "monthly",
+//     "days": ["MO", "WE"],     weekly/biweekly; defaults to the start's weekday
+//     "monthlyBy": "date" | "weekday",
+//                               monthly on the same day of the month (default),
+//                               or on the same weekday, e.g. the 2nd Tuesday
+//     "until": "YYYY-MM-DD",    optional, inclusive
+//     "count": 10,              optional number of occurrences
+//     "schedule": "A" | "B"     optional, only on A (or only on B) days
+//   }
+//
+// Dates whose day type neither students nor staff attend (NO SCHOOL,
+// HOLIDAY, SNOW DAY, ...; see day-types.js) are skipped and don't count
+// towards `count`. A rule with neither `until` nor
+// `count` runs for a year. Single occurrences are cancelled or overridden by
+// rows in event_exceptions, keyed by the date the rule generated.
+
+export const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_OCCURRENCES = 500;
+const OPEN_ENDED_DAYS = 366;
+
+// Fields an exception can override; NULL keeps the series value
+export const OVERRIDE_FIELDS = ['date', 'title', 'department', 'time', 'description', 'end_date', 'end_time', 'all_day', 'location'];
+
+export function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Whole days from `from` to `to`
+export function daysBetween(from, to) {
+    return Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / 86400000);
+}
+
+function weekday(dateStr) {
+    return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+function isValidDate(dateStr) {
+    if (!DATE_PATTERN.test(dateStr || '')) return false;
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(dateStr);
+}
+
+// Validate a rule from a request body (object or JSON string) for a series
+// starting on `startDate`. Returns { recurrence } - the normalized rule, or
+// null for a one-off event - or { error }.
+export function parseRecurrence(input, startDate) {
+    if (input === undefined || input === null || input === '') return { recurrence: null };
+
+    let rule = input;
+    if (typeof input === 'string') {
+        try {
+            rule = JSON.parse(input);
+        } catch (e) {
+            return { error: 'recurrence must be a JSON object' };
+        }
+    }
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+        return { error: 'recurrence must be an object' };
+    }
+
+    const frequency = String(rule.frequency || '').toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) {
+        return { error: `recurrence.frequency must be one of ${FREQUENCIES.join(', ')}` };
+    }
+    const recurrence = { frequency };
+
+    if (frequency === 'monthly') {
+        const monthlyBy = rule.monthlyBy || 'date';
+        if (!['date', 'weekday'].includes(monthlyBy)) {
+            return { error: "recurrence.monthlyBy must be 'date' or 'weekday'" };
+        }
+        recurrence.monthlyBy = monthlyBy;
+        if (rule.days) {
+            return { error: 'recurrence.days only applies to weekly and biweekly events' };
+        }
+    } else {
+        const days = rule.days === undefined || rule.days === null ? [WEEKDAYS[weekday(startDate)]] : rule.days;
+        if (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(String(day).toUpperCase()))) {
+            return { error: `recurrence.days must be a list of ${WEEKDAYS.join(', ')}` };
+        }
+        // Monday first, the way the week is laid out for school
+        recurrence.days = [...new Set(days.map(day => String(day).toUpperCase()))]
+            .sort((a, b) => (WEEKDAYS.indexOf(a) + 6) % 7 - (WEEKDAYS.indexOf(b) + 6) % 7);
+    }
+
+    if (rule.until !== undefined && rule.until !== null && rule.until !== '') {
+        if (!isValidDate(rule.until)) {
+            return { error: 'recurrence.until must be a date in YYYY-MM-DD format' };
+        }
+        if (rule.until < startDate) {
+            return { error: 'recurrence.until must be on or after the event date' };
+        }
+        recurrence.until = rule.until;
+    }
+
+    if (rule.count !== undefined && rule.count !== null && rule.count !== '') {
+        const count = Number(rule.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+            return { error: `recurrence.count must be between 1 and ${MAX_OCCURRENCES}` };
+        }
+        recurrence.count = count;
+    }
+
+    if (rule.schedule !== undefined && rule.schedule !== null && rule.schedule !== '') {
+        const schedule = String(rule.schedule).toUpperCase();
+        if (!['A', 'B'].includes(schedule)) {
+            return { error: "recurrence.schedule must be 'A' or 'B'" };
+        }
+        recurrence.schedule = schedule;
+    }
+
+    return { recurrence };
+}
+
+// A rule for a series moved (or copied) from `fromDate` to start on
+// `toDate`: a weekly rule that only met on the old start's weekday moves to
+// the new one. Anything else is kept as it is.
+export function ruleForStart(rule, fromDate, toDate) {
+    if (!rule || !rule.days || rule.days.length !== 1 || rule.days[0] !== WEEKDAYS[weekday(fromDate)]) return rule;
+    return { ...rule, days: [WEEKDAYS[weekday(toDate)]] };
+}
+
+// The `recurrence` column of an events row, parsed
+export function readRecurrence(event) {
+    if (!event.recurrence) return null;
+    return typeof event.recurrence === 'string' ? JSON.parse(event.recurrence) : event.recurrence;
+}
+
+// An events row as the API returns it, with `recurrence` as an object
+export function withRecurrence(event) {
+    return event ? { ...event, recurrence: readRecurrence(event) } : event;
+}
+
+// The last date a series can reach without looking at its count
+export function seriesEnd(event) {
+    const rule = readRecurrence(event);
+    const horizon = addDays(event.date, rule.count ? MAX_OCCURRENCES * 31 : OPEN_ENDED_DAYS);
+    return rule.until && rule.until < horizon ? rule.until : horizon;
+}
+
+// Candidate dates of one period (week, fortnight or month) of the rule
+function periodDates(rule, start, period) {
+    if (rule.frequency === 'monthly') {
+        const [year, month, day] = start.split('-').map(Number);
+        const first = new Date(Date.UTC(year, month - 1 + period, 1));
+        const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+
+        let dayOfMonth = day;
+        if (rule.monthlyBy === 'weekday') {
+            // Same weekday and week of the month; a 5th weekday means the last one
+            const nth = Math.ceil(day / 7);
+            const offset = (weekday(start) - first.getUTCDay() + 7) % 7;
+            dayOfMonth = 1 + offset + (nth - 1) * 7;
+            if (nth === 5 || dayOfMonth > daysInMonth) {
+                dayOfMonth = 1 + offset + Math.floor((daysInMonth - 1 - offset) / 7) * 7;
+            }
+        }
+        if (dayOfMonth > daysInMonth) return []; // e.g. the 31st in a 30-day month
+
+        first.setUTCDate(dayOfMonth);
+        return [first.toISOString().split('T')[0]];
+    }
+
+    const weeks = rule.frequency === 'biweekly' ? 2 : 1;
+    const monday = addDays(start, -((weekday(start) + 6) % 7) + period * weeks * 7);
+    return rule.days.map(day => addDays(monday, (WEEKDAYS.indexOf(day) + 6) % 7));
+}
+
+// Dates the rule generates from the series start through `through`, after
+// skipping days nobody attends and dates on the wrong A/B letter. `dayTypes`
+// and `schedules` map dates to the day type definition and A/B letter the
+// school sees.
+export function seriesDates(event, { through, dayTypes, schedules }) {
+    const rule = readRecurrence(event);
+    const end = through && through < seriesEnd(event) ? through : seriesEnd(event);
+    const dates = [];
+
+    for (let period = 0; dates.length < MAX_OCCURRENCES; period++) {
+        const candidates = periodDates(rule, event.date, period);
+        if (candidates.length > 0 && candidates[0] > end) break;
+        if (period > MAX_OCCURRENCES * 2) break;
+
+        for (const date of candidates) {
+            if (date < event.date || date > end) continue;
+
+            const dayType = dayTypes.get(date);
+            if (dayType && !dayType.students_attend && !dayType.staff_attend) continue;
+            if (rule.schedule && schedules.get(date) !== rule.schedule) continue;
+
+            dates.push(date);
+            if (rule.count && dates.length >= rule.count) return dates;
+        }
+    }
+
+    return dates;
+}
+
+// Occurrences of a series that overlap [from, to] (either may be null), with
+// its exceptions applied. Each is the series row with the occurrence's
+// `date`, the generated `occurrence_date` and `recurrence` as an object. A
+// multi-day series' occurrences last as many days as the first one, unless
+// an exception sets its own end_date.
+export function expandSeries(event, { from, to, dayTypes, schedules, exceptions = [] }) {
+    const byDate = new Map(exceptions.map(exception => [exception.occurrence_date, exception]));
+    const span = event.end_date ? daysBetween(event.date, event.end_date) : 0;
+
+    // An occurrence moved into the window may come from a later date
+    let through = to;
+    exceptions.forEach(exception => {
+        if (through && exception.occurrence_date > through) through = exception.occurrence_date;
+    });
+
+    const occurrences = [];
+    for (const occurrenceDate of seriesDates(event, { through, dayTypes, schedules })) {
+        const exception = byDate.get(occurrenceDate);
+        if (exception && exception.is_cancelled) continue;
+
+        const occurrence = { ...event, recurrence: readRecurrence(event), occurrence_date: occurrenceDate, date: occurrenceDate, is_exception: false };
+        if (exception) {
+            OVERRIDE_FIELDS.forEach(field => {
+                if (exception[field] !== null && exception[field] !== undefined) occurrence[field] = exception[field];
+            });
+            occurrence.is_exception = true;
+        }
+        if (!exception || exception.end_date === null || exception.end_date === undefined) {
+            occurrence.end_date = span > 0 ? addDays(occurrence.date, span) : null;
+        } else if (occurrence.end_date <= occurrence.date) {
+            occurrence.end_date = null;
+        }
+
+        if ((from && (occurrence.end_date || occurrence.date) < from) || (to && occurrence.date > to)) continue;
+        occurrences.push(occurrence);
+    }
+
+    return occurrences;
+}
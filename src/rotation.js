@@ -0,0 +1,422 @@
+// src/rotation.js
+// A/B rotation generation and snow-day reflow
+//
+// POST /api/day-schedules/generate
+//     { startDate, endDate, startLetter: 'A' | 'B', school, mode: 'preview' | 'commit' }
+//
+// Letters alternate across weekdays, skipping dates whose day type isn't
+// instructional (see day-types.js). Within the range the generated rotation replaces the
+// scope's own day_schedules rows, so a leftover letter on a skipped date is
+// cleared.
+//
+// POST /api/day-schedules/reflow
+//     { date, school, endDate?, moveMaterials?, materialSchools?, grades?, mode }
+//
+// After `date` becomes a non-school day, every A/B letter from that date on
+// moves forward to the next instructional day, and optionally the materials
+// scheduled on those days slide forward one instructional day with them.
+//
+// Both record a commit as one undoable calendar batch.
+
+import { DISTRICT_SCOPE, datesBetween, resolvedDayRowsStatement } from './calendar.js';
+import { commitCalendarBatch, createBatchId } from './calendar-batches.js';
+import { dayTypeDefinitionsStatement, dayTypeInfo } from './day-types.js';
+import { getSchools, getSchoolCodes, gradeName, listWords, schoolError, schoolGrades } from './schools.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 400;
+
+// A date with no day type is an ordinary school day
+export function isInstructionalDay(dayType) {
+    return !dayType || Boolean(dayType.is_instructional);
+}
+
+function isWeekday(dateStr) {
+    const day = new Date(dateStr + 'T00:00:00Z').getUTCDay();
+    return day !== 0 && day !== 6;
+}
+
+// Definitions of the day types `school` sees (district-only for the
+// district scope), keyed by date
+export async function getDayTypeMap(env, school, from, to) {
+    const [rows, definitions] = await env.DB.batch([
+        resolvedDayRowsStatement(env, 'day_types', 'type', school, from, to),
+        dayTypeDefinitionsStatement(env)
+    ]);
+    return new Map(rows.results.map(row => [row.date, dayTypeInfo(definitions.results, row.type)]));
+}
+
+// The scope's own day_schedules rows, keyed by date
+async function getOwnSchedules(db, school, from, to) {
+    const result = await db.prepare(`
+        SELECT date, schedule FROM day_schedules
+        WHERE school = ? AND date >= ? AND date <= ?
+    `).bind(school, from, to).all();
+    return new Map(result.results.map(row => [row.date, row.schedule]));
+}
+
+function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// The scope's resolved day_schedules rows, keyed by date
+async function getResolvedSchedules(env, school, from, to) {
+    const result = await resolvedDayRowsStatement(env, 'day_schedules', 'schedule', school, from, to).all();
+    return new Map(result.results.map(row => [row.date, row.schedule]));
+}
+
+function otherLetter(letter) {
+    return letter === 'A' ? 'B' : 'A';
+}
+
+// POST /api/day-schedules/generate
+export async function handleGenerateDaySchedules(request, env, corsResponse, createdBy) {
+    try {
+        const body = await request.json();
+        const { startDate, endDate } = body;
+        const startLetter = String(body.startLetter || 'A').toUpperCase();
+        const school = body.school || DISTRICT_SCOPE;
+        const mode = body.mode || 'preview';
+
+        if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+            return corsResponse({ error: 'startDate and endDate are required dates in YYYY-MM-DD format' }, 400);
+        }
+
+        if (!['A', 'B'].includes(startLetter)) {
+            return corsResponse({ error: 'startLetter must be A or B' }, 400);
+        }
+
+        const codes = await getSchoolCodes(env);
+        if (school !== DISTRICT_SCOPE && !codes.includes(school)) {
+            return corsResponse({ error: schoolError(codes, true) }, 400);
+        }
+
+        if (!['preview', 'commit'].includes(mode)) {
+            return corsResponse({ error: 'mode must be preview or commit' }, 400);
+        }
+
+        const dates = datesBetween(startDate, endDate);
+        if (dates.length === 0 || dates.length > MAX_RANGE_DAYS) {
+            return corsResponse({ error: `startDate must be on or before endDate, and the range at most ${MAX_RANGE_DAYS} days` }, 400);
+        }
+
+        const [dayTypes, existing] = await Promise.all([
+            getDayTypeMap(env, school, startDate, endDate),
+            getOwnSchedules(env.DB, school, startDate, endDate)
+        ]);
+
+        const assignments = [];
+        const skipped = [];
+        const cleared = [];
+        let letter = startLetter;
+
+        dates.forEach(date => {
+            const previous = existing.get(date) || null;
+            const dayType = dayTypes.get(date);
+
+            if (isWeekday(date) && isInstructionalDay(dayType)) {
+                const status = previous === null ? 'new' : previous === letter ? 'unchanged' : 'changed';
+                assignments.push({ date, schedule: letter, previous, status });
+                letter = otherLetter(letter);
+                return;
+            }
+
+            if (isWeekday(date)) {
+                skipped.push({ date, dayType: dayType?.type });
+            }
+            if (previous !== null) {
+                cleared.push({ date, schedule: null, previous, status: 'cleared' });
+            }
+        });
+
+        const conflicts = [
+            ...assignments.filter(assignment => assignment.status === 'changed'),
+            ...cleared
+        ].sort((a, b) => a.date.localeCompare(b.date));
+
+        const summary = {
+            instructionalDays: assignments.length,
+            new: assignments.filter(assignment => assignment.status === 'new').length,
+            changed: assignments.filter(assignment => assignment.status === 'changed').length,
+            unchanged: assignments.filter(assignment => assignment.status === 'unchanged').length,
+            cleared: cleared.length,
+            skipped: skipped.length
+        };
+
+        if (mode === 'preview') {
+            return corsResponse({
+                mode: 'preview',
+                school,
+                startDate,
+                endDate,
+                startLetter,
+                summary,
+                assignments,
+                skipped,
+                conflicts
+            });
+        }
+
+        const changes = [...assignments.filter(assignment => assignment.status !== 'unchanged'), ...cleared]
+            .map(change => ({
+                target: 'day_schedules',
+                school,
+                date: change.date,
+                previous_value: change.previous,
+                new_value: change.schedule
+            }));
+
+        if (changes.length === 0) {
+            return corsResponse({
+                mode: 'commit',
+                batchId: null,
+                message: 'Rotation already up to date - nothing to change',
+                summary
+            });
+        }
+
+        const batchId = createBatchId('rotation');
+        await commitCalendarBatch(env.DB, {
+            id: batchId,
+            kind: 'rotation',
+            school,
+            createdBy,
+            changes,
+            summary: { ...summary, startDate, endDate, startLetter }
+        });
+
+        return corsResponse({
+            mode: 'commit',
+            batchId,
+            message: `Generated ${summary.instructionalDays} A/B days for ${school}`,
+            summary,
+            changed: changes.length
+        });
+    } catch (error) {
+        console.error('Rotation generation error:', error);
+        return corsResponse({
+            error: 'Failed to generate rotation',
+            message: error.message
+        }, 500);
+    }
+}
+
+// Instructional days strictly after `date` through `through`, per `dayTypes`
+function instructionalDaysAfter(date, through, dayTypes) {
+    return datesBetween(addDays(date, 1), through)
+        .filter(day => isWeekday(day) && isInstructionalDay(dayTypes.get(day)));
+}
+
+// Every letter from the non-school `date` on moves to the next instructional
+// day; the last letter in the range falls off the end
+async function planScheduleReflow(env, school, date, endDate) {
+    const [dayTypes, resolved, own] = await Promise.all([
+        getDayTypeMap(env, school, date, endDate),
+        getResolvedSchedules(env, school, date, endDate),
+        getOwnSchedules(env.DB, school, date, endDate)
+    ]);
+
+    const days = instructionalDaysAfter(date, endDate, dayTypes);
+    const letters = [date, ...days.slice(0, -1)].map(day => resolved.get(day) || null);
+    const moves = [];
+
+    if (own.has(date)) {
+        moves.push({ date, previous: own.get(date), schedule: null, status: 'cleared' });
+    }
+
+    days.forEach((day, index) => {
+        const current = resolved.get(day) || null;
+        const schedule = letters[index];
+        if (schedule === current) return;
+        // A school can't blank out an inherited district letter, so a gap
+        // only clears the school's own row
+        if (schedule === null && !own.has(day)) return;
+
+        moves.push({
+            date: day,
+            previous: own.get(day) || null,
+            current,
+            schedule,
+            status: schedule === null ? 'cleared' : 'changed'
+        });
+    });
+
+    return { dayType: dayTypes.get(date) || null, moves };
+}
+
+// Materials on the non-school `date` and on each later instructional day move
+// to the following instructional day, per school
+async function planMaterialReflow(env, schools, grades, date, endDate) {
+    const moves = [];
+
+    for (const school of schools) {
+        // Look far enough past the range to find the day after the last one
+        const dayTypes = await getDayTypeMap(env, school, date, addDays(endDate, 31));
+        if (isInstructionalDay(dayTypes.get(date))) continue;
+
+        const days = [date, ...instructionalDaysAfter(date, addDays(endDate, 31), dayTypes)];
+        const nextDay = new Map(days.slice(0, -1).map((day, index) => [day, days[index + 1]]));
+
+        const result = await env.DB.prepare(`
+            SELECT id, school, date, grade_level, title FROM materials
+            WHERE school = ? AND date >= ? AND date <= ?
+            AND grade_level IN (${grades.map(() => '?').join(', ')})
+            ORDER BY date, grade_level, id
+        `).bind(school, date, endDate, ...grades).all();
+
+        result.results
+            .filter(material => nextDay.has(material.date))
+            .forEach(material => moves.push({
+                id: material.id,
+                school: material.school,
+                grade_level: material.grade_level,
+                title: material.title,
+                from: material.date,
+                to: nextDay.get(material.date)
+            }));
+    }
+
+    return moves;
+}
+
+// POST /api/day-schedules/reflow
+export async function handleReflowDaySchedules(request, env, corsResponse, createdBy) {
+    try {
+        const body = await request.json();
+        const { date } = body;
+        const school = body.school || DISTRICT_SCOPE;
+        const mode = body.mode || 'preview';
+        const moveMaterials = body.moveMaterials === true;
+
+        if (!DATE_PATTERN.test(date || '')) {
+            return corsResponse({ error: 'date is required in YYYY-MM-DD format' }, 400);
+        }
+
+        const schools = await getSchools(env);
+        const codes = schools.map(row => row.code);
+        if (school !== DISTRICT_SCOPE && !codes.includes(school)) {
+            return corsResponse({ error: schoolError(codes, true) }, 400);
+        }
+
+        if (!['preview', 'commit'].includes(mode)) {
+            return corsResponse({ error: 'mode must be preview or commit' }, 400);
+        }
+
+        const materialSchools = body.materialSchools || (school === DISTRICT_SCOPE ? codes : [school]);
+        if (!Array.isArray(materialSchools) || materialSchools.some(name => !codes.includes(name))) {
+            return corsResponse({ error: `materialSchools must be a list of ${listWords(codes)}` }, 400);
+        }
+        if (school !== DISTRICT_SCOPE && materialSchools.some(name => name !== school)) {
+            return corsResponse({ error: 'A school reflow can only move that school\'s materials' }, 400);
+        }
+
+        // Every grade level the schools have, by default
+        const schoolGradeLevels = [...new Set(schools
+            .filter(row => materialSchools.includes(row.code))
+            .flatMap(schoolGrades))].sort((a, b) => a - b);
+        const grades = body.grades || schoolGradeLevels;
+        if (!Array.isArray(grades) || grades.length === 0 || grades.some(grade => !schoolGradeLevels.includes(grade))) {
+            return corsResponse({ error: `grades must be a list of ${listWords(schoolGradeLevels.map(gradeName))}` }, 400);
+        }
+
+        let endDate = body.endDate;
+        if (endDate === undefined || endDate === null || endDate === '') {
+            // Default to the end of the rotation that's already been laid out
+            // for this school, its own rows or the district's it falls back to
+            const last = await env.DB.prepare(`
+                SELECT MAX(date) AS date FROM day_schedules
+                WHERE date >= ? AND (school = ? OR school = 'district')
+            `).bind(date, school).first();
+            endDate = last && last.date ? last.date : date;
+        }
+        if (!DATE_PATTERN.test(endDate)) {
+            return corsResponse({ error: 'endDate must be in YYYY-MM-DD format' }, 400);
+        }
+
+        const rangeDays = datesBetween(date, endDate).length;
+        if (rangeDays === 0 || rangeDays > MAX_RANGE_DAYS) {
+            return corsResponse({ error: `date must be on or before endDate, and the range at most ${MAX_RANGE_DAYS} days` }, 400);
+        }
+
+        const schedules = await planScheduleReflow(env, school, date, endDate);
+        if (isInstructionalDay(schedules.dayType)) {
+            return corsResponse({
+                error: `Set ${date} to SNOW DAY (or another non-instructional day type) before reflowing`
+            }, 400);
+        }
+
+        const materials = moveMaterials
+            ? await planMaterialReflow(env, materialSchools, grades, date, endDate)
+            : [];
+
+        const summary = {
+            schedulesChanged: schedules.moves.length,
+            materialsMoved: materials.length
+        };
+
+        if (mode === 'preview') {
+            return corsResponse({
+                mode: 'preview',
+                date,
+                school,
+                endDate,
+                dayType: schedules.dayType.type,
+                summary,
+                schedules: schedules.moves,
+                materials
+            });
+        }
+
+        const changes = [
+            ...schedules.moves.map(move => ({
+                target: 'day_schedules',
+                school,
+                date: move.date,
+                previous_value: move.previous,
+                new_value: move.schedule
+            })),
+            ...materials.map(move => ({
+                target: 'materials',
+                school: move.school,
+                date: move.from,
+                record_id: move.id,
+                previous_value: move.from,
+                new_value: move.to
+            }))
+        ];
+
+        if (changes.length === 0) {
+            return corsResponse({
+                mode: 'commit',
+                batchId: null,
+                message: 'Nothing to move',
+                summary
+            });
+        }
+
+        const batchId = createBatchId('reflow');
+        await commitCalendarBatch(env.DB, {
+            id: batchId,
+            kind: 'reflow',
+            school,
+            createdBy,
+            changes,
+            summary: { ...summary, date, endDate, dayType: schedules.dayType.type, grades: moveMaterials ? grades : [] }
+        });
+
+        return corsResponse({
+            mode: 'commit',
+            batchId,
+            message: `Moved ${summary.schedulesChanged} A/B days and ${summary.materialsMoved} materials`,
+            summary
+        });
+    } catch (error) {
+        console.error('Reflow error:', error);
+        return corsResponse({
+            error: 'Failed to reflow rotation',
+            message: error.message
+        }, 500);
+    }
+}
@@ -0,0 +1,319 @@
+// src/schools.js
+// The district's school buildings
+//
+// GET    /api/schools
+// POST   /api/schools       { code, name, slug?, short_name?, mascot?, primary_color?, secondary_color?,
+//                              logo_url?, icon?, website_url?, grade_min?, grade_max?, sort_order? }
+// PUT    /api/schools/:id   any of the same but `code`
+// DELETE /api/schools/:id
+//
+// Events, materials and day rows store a school's `code` (e.g. "wlhs"), so a
+// code can't change, and a school with any of them can't be deleted. `slug`
+// is the path of the school's student calendar (/lions), and the name,
+// mascot, colors and logo brand both calendars. grade_min..grade_max are the
+// grade levels its materials can be for, and narrowing them is refused while
+// materials fall outside the new range.
+
+import { DISTRICT_SCOPE } from './calendar.js';
+
+const CODE_PATTERN = /^[a-z][a-z0-9]{1,9}$/;
+const SLUG_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const URL_PATTERN = /^(https?:\/\/|\/)?[^\s"'<>]+$/i;
+const RESERVED_SLUGS = ['api'];
+const MAX_NAME_LENGTH = 60;
+const MIN_GRADE = 0; // kindergarten
+const MAX_GRADE = 12;
+const MAX_COURSE_LENGTH = 60;
+
+export const SCHOOL_COLUMNS = `id, code, name, short_name, mascot, slug, primary_color, secondary_color, logo_url, icon,
+    website_url, grade_min, grade_max, sort_order, created_at, updated_at`;
+
+export function schoolsStatement(env) {
+    return env.DB.prepare(`SELECT ${SCHOOL_COLUMNS} FROM schools ORDER BY sort_order, name`);
+}
+
+export async function getSchools(env) {
+    return (await schoolsStatement(env).all()).results;
+}
+
+export async function getSchoolCodes(env) {
+    return (await getSchools(env)).map(school => school.code);
+}
+
+export async function getSchoolBySlug(env, slug) {
+    return env.DB.prepare(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE slug = ?`).bind(slug).first();
+}
+
+export async function getSchoolByCode(env, code) {
+    return env.DB.prepare(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE code = ?`).bind(code).first();
+}
+
+// "K", "1" ... "12"
+export function gradeName(grade) {
+    return grade === 0 ? 'K' : String(grade);
+}
+
+// A school's grade levels, lowest first
+export function schoolGrades(school) {
+    const grades = [];
+    for (let grade = school.grade_min; grade <= school.grade_max; grade++) {
+        grades.push(grade);
+    }
+    return grades;
+}
+
+// Match a grade level from a request, query string or CSV row ("K" or a
+// number) against a school's grades. Returns { grade } or { error }.
+export function resolveGrade(school, value) {
+    const text = value === undefined || value === null ? '' : String(value).trim().toUpperCase();
+    const grade = text === 'K' ? 0 : text === '' ? NaN : Number(text);
+    if (schoolGrades(school).includes(grade)) return { grade };
+    return {
+        error: `Grade level must be ${school.grade_min === school.grade_max
+            ? gradeName(school.grade_min)
+            : `${gradeName(school.grade_min)}-${gradeName(school.grade_max)}`} at ${school.name}`
+    };
+}
+
+// A material's optional course or subject ("Algebra 1"), trimmed, with
+// blank as none. Returns { course } or { error }.
+export function parseCourse(value) {
+    const course = value === undefined || value === null ? '' : String(value).trim();
+    if (course.length > MAX_COURSE_LENGTH) {
+        return { error: `Course must be at most ${MAX_COURSE_LENGTH} characters` };
+    }
+    return { course: course || null };
+}
+
+// "a", "a or b", "a, b or c" - or with `and`
+export function listWords(words, conjunction = 'or') {
+    return words.length <= 1
+        ? words.join('')
+        : `${words.slice(0, -1).join(', ')} ${conjunction} ${words[words.length - 1]}`;
+}
+
+// The error for a school that isn't one of `codes` - or, with `district`,
+// for a scope that is neither 'district' nor one of them
+export function schoolError(codes, district = false) {
+    return `School must be ${listWords(district ? [DISTRICT_SCOPE, ...codes] : codes)}`;
+}
+
+function blankToNull(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+// Every field but `code` from a request body, falling back to `current`
+// for any left out. Returns { fields } or { error }.
+function parseSchoolFields(body, current = {}) {
+    const pick = field => (body[field] === undefined ? current[field] ?? null : blankToNull(body[field]));
+    const fields = {
+        name: pick('name'),
+        short_name: pick('short_name'),
+        mascot: pick('mascot'),
+        slug: pick('slug'),
+        primary_color: pick('primary_color'),
+        secondary_color: pick('secondary_color'),
+        logo_url: pick('logo_url'),
+        icon: pick('icon'),
+        website_url: pick('website_url')
+    };
+
+    if (!fields.name) {
+        return { error: 'Name is required' };
+    }
+    for (const field of ['name', 'short_name', 'mascot']) {
+        if (fields[field] && fields[field].length > MAX_NAME_LENGTH) {
+            return { error: `${field} must be at most ${MAX_NAME_LENGTH} characters` };
+        }
+    }
+
+    fields.slug = fields.slug && fields.slug.toLowerCase();
+    if (!fields.slug || !SLUG_PATTERN.test(fields.slug) || RESERVED_SLUGS.includes(fields.slug)) {
+        return { error: 'slug must be 2-40 lowercase letters, digits or dashes, such as "lions"' };
+    }
+
+    for (const field of ['primary_color', 'secondary_color']) {
+        if (fields[field] && !COLOR_PATTERN.test(fields[field])) {
+            return { error: `${field} must be a hex color such as #1e3a8a` };
+        }
+        fields[field] = (fields[field] || '#6b7280').toLowerCase();
+    }
+
+    for (const field of ['logo_url', 'website_url']) {
+        if (fields[field] && !URL_PATTERN.test(fields[field])) {
+            return { error: `${field} must be a URL` };
+        }
+    }
+    if (fields.icon && [...fields.icon].length > 8) {
+        return { error: 'icon must be at most 8 characters' };
+    }
+
+    for (const [field, fallback] of [['grade_min', 9], ['grade_max', 12]]) {
+        const given = body[field] !== undefined && body[field] !== null && body[field] !== '';
+        const value = given ? Number(body[field]) : current[field] ?? fallback;
+        if (!Number.isInteger(value) || value < MIN_GRADE || value > MAX_GRADE) {
+            return { error: `${field} must be a grade from ${MIN_GRADE} (kindergarten) to ${MAX_GRADE}` };
+        }
+        fields[field] = value;
+    }
+    if (fields.grade_min > fields.grade_max) {
+        return { error: 'grade_min must not be above grade_max' };
+    }
+
+    fields.sort_order = current.sort_order ?? null;
+    if (body.sort_order !== undefined && body.sort_order !== null && body.sort_order !== '') {
+        fields.sort_order = Number(body.sort_order);
+        if (!Number.isInteger(fields.sort_order)) {
+            return { error: 'sort_order must be a whole number' };
+        }
+    }
+
+    return { fields };
+}
+
+function findSlugConflict(env, slug, exceptId = 0) {
+    return env.DB.prepare('SELECT id, name FROM schools WHERE slug = ? AND id != ?').bind(slug, exceptId).first();
+}
+
+// GET /api/schools
+export async function handleGetSchools(env, corsResponse) {
+    try {
+        return corsResponse(await getSchools(env));
+    } catch (error) {
+        console.error('Error fetching schools:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// POST /api/schools - a new school goes last unless given a sort_order
+export async function handlePostSchool(request, env, corsResponse) {
+    try {
+        const body = await request.json();
+
+        const code = String(body.code || '').trim().toLowerCase();
+        if (!CODE_PATTERN.test(code) || code === DISTRICT_SCOPE) {
+            return corsResponse({ error: 'code must be 2-10 lowercase letters or digits, such as "wlhs"' }, 400);
+        }
+
+        // The student calendar's path defaults to the code
+        const { fields, error } = parseSchoolFields({ ...body, slug: body.slug || code });
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const existing = await env.DB.prepare('SELECT id FROM schools WHERE code = ?').bind(code).first();
+        if (existing) {
+            return corsResponse({ error: `There is already a school with code ${code}` }, 409);
+        }
+        const conflict = await findSlugConflict(env, fields.slug);
+        if (conflict) {
+            return corsResponse({ error: `${conflict.name} already uses /${fields.slug}` }, 409);
+        }
+
+        const school = await env.DB.prepare(`
+            INSERT INTO schools (
+                code, name, short_name, mascot, slug, primary_color, secondary_color, logo_url, icon, website_url,
+                grade_min, grade_max, sort_order
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM schools)))
+            RETURNING ${SCHOOL_COLUMNS}
+        `).bind(
+            code, fields.name, fields.short_name, fields.mascot, fields.slug, fields.primary_color,
+            fields.secondary_color, fields.logo_url, fields.icon, fields.website_url, fields.grade_min,
+            fields.grade_max, fields.sort_order
+        ).first();
+
+        return corsResponse(school);
+    } catch (error) {
+        console.error('Error creating school:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// PUT /api/schools/:id
+export async function handlePutSchool(request, env, schoolId, corsResponse) {
+    try {
+        const body = await request.json();
+
+        const school = await env.DB.prepare(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE id = ?`).bind(schoolId).first();
+        if (!school) {
+            return corsResponse({ error: 'School not found' }, 404);
+        }
+
+        if (body.code !== undefined && String(body.code).trim().toLowerCase() !== school.code) {
+            return corsResponse({ error: "A school's code can't be changed" }, 400);
+        }
+
+        const { fields, error } = parseSchoolFields(body, school);
+        if (error) {
+            return corsResponse({ error }, 400);
+        }
+
+        const conflict = await findSlugConflict(env, fields.slug, school.id);
+        if (conflict) {
+            return corsResponse({ error: `${conflict.name} already uses /${fields.slug}` }, 409);
+        }
+
+        const outside = await env.DB.prepare(`
+            SELECT COUNT(*) AS count FROM materials WHERE school = ? AND (grade_level < ? OR grade_level > ?)
+        `).bind(school.code, fields.grade_min, fields.grade_max).first();
+        if (outside.count > 0) {
+            return corsResponse({
+                error: `${outside.count === 1 ? '1 material is' : `${outside.count} materials are`} for grades outside ${gradeName(fields.grade_min)}-${gradeName(fields.grade_max)}; move or delete them first`,
+                count: outside.count
+            }, 409);
+        }
+
+        const updated = await env.DB.prepare(`
+            UPDATE schools
+            SET name = ?, short_name = ?, mascot = ?, slug = ?, primary_color = ?, secondary_color = ?, logo_url = ?,
+                icon = ?, website_url = ?, grade_min = ?, grade_max = ?, sort_order = ?, updated_at = datetime('now')
+            WHERE id = ?
+            RETURNING ${SCHOOL_COLUMNS}
+        `).bind(
+            fields.name, fields.short_name, fields.mascot, fields.slug, fields.primary_color, fields.secondary_color,
+            fields.logo_url, fields.icon, fields.website_url, fields.grade_min, fields.grade_max, fields.sort_order,
+            school.id
+        ).first();
+
+        return corsResponse(updated);
+    } catch (error) {
+        console.error('Error updating school:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}
+
+// DELETE /api/schools/:id - refused while anything is filed under the school
+export async function handleDeleteSchool(env, schoolId, corsResponse) {
+    try {
+        const school = await env.DB.prepare(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE id = ?`).bind(schoolId).first();
+        if (!school) {
+            return corsResponse({ error: 'School not found' }, 404);
+        }
+
+        const usage = await env.DB.prepare(`
+            SELECT
+                (SELECT COUNT(*) FROM events WHERE school = ?1) AS events,
+                (SELECT COUNT(*) FROM materials WHERE school = ?1) AS materials,
+                (SELECT COUNT(*) FROM day_schedules WHERE school = ?1)
+                    + (SELECT COUNT(*) FROM day_types WHERE school = ?1) AS days,
+                (SELECT COUNT(*) FROM departments WHERE school = ?1) AS departments
+        `).bind(school.code).first();
+        const inUse = Object.entries(usage).filter(([, count]) => count > 0);
+        if (inUse.length > 0) {
+            return corsResponse({
+                error: `${school.name} still has ${listWords(inUse.map(([kind, count]) => `${count} ${count === 1 ? kind.replace(/s$/, '') : kind}`), 'and')}; move or delete them first`,
+                usage
+            }, 409);
+        }
+
+        await env.DB.prepare('DELETE FROM schools WHERE id = ?').bind(school.id).run();
+        return corsResponse({ success: true, id: school.id });
+    } catch (error) {
+        console.error('Error deleting school:', error);
+        return corsResponse({ error: error.message }, 500);
+    }
+}